@@ -0,0 +1,442 @@
+/**
+ * Trefle API Wrapper
+ *
+ * Type declarations for TrefleAPI and its options. Response shapes live in
+ * types.d.ts and are re-exported here.
+ */
+
+import { EventEmitter } from 'events';
+import type { Agent as HttpAgent } from 'http';
+import type { Agent as HttpsAgent } from 'https';
+import type { AxiosInstance, AxiosProxyConfig } from 'axios';
+import type { RateLimiter, RateLimiterOptions } from './rate-limiter.js';
+import type { CacheStats, CacheStore, ResponseCacheOptions } from './cache.js';
+import type { MetricsRegistry, MetricsSnapshot } from './metrics.js';
+import type { ClientTokenClaim, ClientTokenManager, ClientTokenStatus } from './client-token.js';
+import type { SchemaValidator, SchemaDriftReport, SchemaIssue, SchemaName, ValidationMode } from './schemas.js';
+import type { QueryBuilder, QueryOptions } from './query-builder.js';
+import type { TrefleError } from './errors.js';
+import type {
+  CollectionResponse,
+  RecordResponse,
+  Page,
+  Plant,
+  PlantDetail,
+  Species,
+  SpeciesDetail,
+  Kingdom,
+  Subkingdom,
+  Division,
+  DivisionClass,
+  DivisionOrder,
+  Family,
+  Genus,
+  DistributionZone,
+  Correction
+} from './types.js';
+
+export * from './types.js';
+
+// ==================== OPTIONS ====================
+
+/** Cache mode for a single call */
+export type CacheMode = 'bypass' | 'refresh';
+
+/**
+ * Per-call options accepted by every endpoint method.
+ */
+export interface RequestOptions {
+  /** Skip the cache ('bypass') or fetch fresh and update it ('refresh') */
+  cache?: CacheMode;
+  /** Signal that cancels the request */
+  signal?: AbortSignal;
+}
+
+/**
+ * Options for list endpoints without filters.
+ */
+export interface ListOptions extends RequestOptions {
+  page?: number | null;
+}
+
+/**
+ * Filter values accepted by list endpoints. Arrays are sent as comma lists
+ * and null values as the string 'null'.
+ */
+export type ParamValue = string | number | boolean | Date | null | Array<string | number | boolean>;
+
+/**
+ * Options for list endpoints that support filtering and sorting.
+ */
+export interface FilterListOptions extends ListOptions {
+  filter?: Record<string, ParamValue> | QueryOptions['filter'] | null;
+  order?: Record<string, 'asc' | 'desc'> | null;
+}
+
+/**
+ * Options for plant and species list and search endpoints.
+ */
+export interface PlantListOptions extends FilterListOptions {
+  filter_not?: Record<string, ParamValue> | null;
+  /** Range filters, e.g. { maximum_height: [100, 500] } or { maximum_height: '100,500' } */
+  range?: Record<string, string | [number, number] | ParamValue> | null;
+}
+
+/**
+ * Options for paginate(), iterateRecords() and getAllPages(), merged with the
+ * options of the paginated method.
+ */
+export interface PaginationOptions extends PlantListOptions {
+  /** Page number to start from (default: 1) */
+  startPage?: number;
+  /** Maximum number of pages to fetch (null for all) */
+  maxPages?: number | null;
+  /** Maximum number of records to yield (null for all) */
+  maxRecords?: number | null;
+}
+
+/**
+ * Options for getPlantsByIds() and getSpeciesByIds().
+ */
+export interface BulkOptions<T> extends RequestOptions {
+  /** Maximum requests in flight (default: 5) */
+  concurrency?: number;
+  /** Called as each lookup settles */
+  onResult?: (result: BulkResult<T>, index: number) => void;
+}
+
+/**
+ * One lookup of getPlantsByIds() or getSpeciesByIds().
+ */
+export type BulkResult<T> =
+  | { id: number | string; ok: true; response: RecordResponse<T>; error: null }
+  | { id: number | string; ok: false; response: null; error: TrefleError };
+
+// ==================== EXTENSIONS ====================
+
+/**
+ * Logger accepted by the 'logger' option.
+ */
+export interface TrefleLogger {
+  error(message: string, meta?: Record<string, unknown>): void;
+  warn(message: string, meta?: Record<string, unknown>): void;
+  info(message: string, meta?: Record<string, unknown>): void;
+  debug(message: string, meta?: Record<string, unknown>): void;
+}
+
+/**
+ * Request passed to a custom transport.
+ */
+export interface TransportRequest {
+  method: 'GET' | 'POST';
+  url: string;
+  params: Record<string, string>;
+  data?: unknown;
+  headers?: Record<string, string>;
+  signal?: AbortSignal;
+  timeout: number;
+}
+
+/**
+ * Response a custom transport must resolve to.
+ */
+export interface TransportResponse {
+  status: number;
+  headers?: Record<string, string>;
+  data: unknown;
+}
+
+export type Transport = (request: TransportRequest) => Promise<TransportResponse>;
+
+/**
+ * Context shared by the middleware hooks of one call.
+ */
+export interface MiddlewareContext {
+  method: 'GET' | 'POST';
+  endpoint: string;
+  url: string;
+  /** Request parameters with the token removed */
+  params: Record<string, string>;
+  /** Headers sent with the request */
+  headers: Record<string, string>;
+  startTime: number;
+  duration: number | null;
+  attempts: number;
+  data: any;
+  error: Error | null;
+}
+
+export interface Middleware {
+  beforeRequest?(context: MiddlewareContext): unknown;
+  afterResponse?(context: MiddlewareContext): unknown;
+  onError?(context: MiddlewareContext): unknown;
+}
+
+/**
+ * Constructor options.
+ */
+export interface TrefleAPIOptions {
+  /** Trefle API token (default: TREFLE_API_TOKEN environment variable) */
+  token?: string | null;
+  /** Logging level: DEBUG, INFO, WARNING or ERROR (default: INFO) */
+  logLevel?: string;
+  /** Rate limiter settings, or false to disable client-side rate limiting */
+  rateLimit?: RateLimiterOptions | false;
+  /** Retry policy for transient failures, or false to disable retries */
+  retry?: {
+    maxAttempts?: number;
+    baseDelay?: number;
+    maxDelay?: number;
+    maxRetryAfter?: number;
+    statusCodes?: number[];
+    retryNonIdempotent?: boolean;
+  } | false;
+  /** Response cache settings, true for an in-memory cache, or false/null to disable (default) */
+  cache?: ResponseCacheOptions | boolean | null;
+  /** API base URL (default: https://trefle.io/api/v1) */
+  baseUrl?: string;
+  /** Request timeout in ms, 0 for none (default: 30000) */
+  timeout?: number;
+  keepAlive?: boolean;
+  httpAgent?: HttpAgent | null;
+  httpsAgent?: HttpsAgent | null;
+  proxy?: AxiosProxyConfig | string | false | null;
+  httpClient?: AxiosInstance | null;
+  transport?: Transport | null;
+  middleware?: Middleware[];
+  /** Share one HTTP request between concurrent identical GET calls (default: true) */
+  dedupe?: boolean;
+  /** Logger used instead of the built-in winston logger */
+  logger?: TrefleLogger | null;
+  /** Built-in logger output (default: 'text') */
+  logFormat?: 'text' | 'json';
+  /** Also append built-in logger output to this file */
+  logFile?: string | null;
+  /** Disable built-in logger output */
+  silent?: boolean;
+  /** Metrics registry settings, or false to disable (default: true) */
+  metrics?: { latencyWindow?: number } | boolean;
+  /** Response schema validation (default: 'off') */
+  validation?: ValidationMode;
+  /** Authenticate with short-lived client JWTs instead of the secret token */
+  clientToken?: ClientTokenOptions | null;
+}
+
+/**
+ * Client token (JWT) authentication settings. Needs an origin to claim JWTs
+ * with the secret token, or a claim function returning them.
+ */
+export interface ClientTokenOptions {
+  /** Website origin the JWTs are bound to */
+  origin?: string;
+  /** Client IP address the JWTs are bound to */
+  ip?: string | null;
+  /** Claim a new JWT this many ms before expiry (default: 60000) */
+  refreshMargin?: number;
+  /** Claim JWTs another way, e.g. from your own backend (the secret token is then optional) */
+  claim?: () => Promise<ClientTokenClaim>;
+}
+
+// ==================== EVENTS ====================
+
+export interface RequestEvent {
+  method: string;
+  endpoint: string;
+  attempt: number;
+}
+
+export interface ResponseEvent {
+  method: string;
+  endpoint: string;
+  status: number;
+  duration: number;
+  attempts: number;
+}
+
+export interface RetryEvent {
+  method: string;
+  endpoint: string;
+  status: number | null;
+  attempt: number;
+  delay: number;
+  error: Error;
+}
+
+export interface RateLimitedEvent {
+  method: string;
+  endpoint: string;
+  source: 'client' | 'server';
+  wait: number | null;
+}
+
+export interface ErrorEvent {
+  method: string;
+  endpoint: string;
+  status: number | null;
+  duration: number;
+  attempts: number;
+  error: TrefleError;
+}
+
+export interface SchemaDriftEvent {
+  method: string;
+  endpoint: string;
+  schema: SchemaName;
+  issues: SchemaIssue[];
+}
+
+// ==================== PAGINATION ====================
+
+/**
+ * List methods usable with paginate(), with their leading positional
+ * arguments and record type.
+ */
+export interface PaginatedMethods {
+  getKingdoms: { args: []; record: Kingdom };
+  getSubkingdoms: { args: []; record: Subkingdom };
+  getDivisions: { args: []; record: Division };
+  getDivisionClasses: { args: []; record: DivisionClass };
+  getDivisionOrders: { args: []; record: DivisionOrder };
+  getFamilies: { args: []; record: Family };
+  getGenera: { args: []; record: Genus };
+  getPlants: { args: []; record: Plant };
+  searchPlants: { args: [query: string]; record: Plant };
+  getPlantsByZone: { args: [zoneId: number | string]; record: Plant };
+  getPlantsByGenus: { args: [genusId: number | string]; record: Plant };
+  getSpeciesList: { args: []; record: Species };
+  searchSpecies: { args: [query: string]; record: Species };
+  getDistributions: { args: []; record: DistributionZone };
+  getCorrections: { args: []; record: Correction };
+}
+
+export type PaginatedMethodName = keyof PaginatedMethods;
+
+/** Positional arguments followed by optional pagination options */
+export type PaginationArgs<M extends PaginatedMethodName> =
+  | PaginatedMethods[M]['args']
+  | [...PaginatedMethods[M]['args'], PaginationOptions];
+
+/** Number of leading positional arguments each paginated method takes before its options */
+export const PAGINATED_METHODS: Readonly<Record<PaginatedMethodName, number>>;
+
+type RecordOf<M extends PaginatedMethodName> = PaginatedMethods[M]['record'];
+
+// ==================== CLIENT ====================
+
+/**
+ * Wrapper class for Trefle Plants API.
+ */
+export class TrefleAPI extends EventEmitter {
+  constructor(options?: TrefleAPIOptions);
+
+  token: string | null;
+  baseUrl: string;
+  timeout: number;
+  logger: TrefleLogger;
+  rateLimiter: RateLimiter | null;
+  metrics: MetricsRegistry | null;
+  schemaValidator: SchemaValidator | null;
+  clientToken: ClientTokenManager | null;
+  middleware: Middleware[];
+
+  use(middleware: Middleware): this;
+
+  on(event: 'request', listener: (event: RequestEvent) => void): this;
+  on(event: 'response', listener: (event: ResponseEvent) => void): this;
+  on(event: 'retry', listener: (event: RetryEvent) => void): this;
+  on(event: 'rateLimited', listener: (event: RateLimitedEvent) => void): this;
+  on(event: 'error', listener: (error: TrefleError, event: ErrorEvent) => void): this;
+  on(event: 'schemaDrift', listener: (event: SchemaDriftEvent) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+
+  once(event: 'request', listener: (event: RequestEvent) => void): this;
+  once(event: 'response', listener: (event: ResponseEvent) => void): this;
+  once(event: 'retry', listener: (event: RetryEvent) => void): this;
+  once(event: 'rateLimited', listener: (event: RateLimitedEvent) => void): this;
+  once(event: 'error', listener: (error: TrefleError, event: ErrorEvent) => void): this;
+  once(event: 'schemaDrift', listener: (event: SchemaDriftEvent) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+
+  // Taxonomy
+  getKingdoms(options?: ListOptions): Promise<CollectionResponse<Kingdom>>;
+  getKingdom(kingdomId: number | string, requestOptions?: RequestOptions): Promise<RecordResponse<Kingdom>>;
+  getSubkingdoms(options?: ListOptions): Promise<CollectionResponse<Subkingdom>>;
+  getSubkingdom(subkingdomId: number | string, requestOptions?: RequestOptions): Promise<RecordResponse<Subkingdom>>;
+  getDivisions(options?: ListOptions): Promise<CollectionResponse<Division>>;
+  getDivision(divisionId: number | string, requestOptions?: RequestOptions): Promise<RecordResponse<Division>>;
+  getDivisionClasses(options?: ListOptions): Promise<CollectionResponse<DivisionClass>>;
+  getDivisionClass(classId: number | string, requestOptions?: RequestOptions): Promise<RecordResponse<DivisionClass>>;
+  getDivisionOrders(options?: ListOptions): Promise<CollectionResponse<DivisionOrder>>;
+  getDivisionOrder(orderId: number | string, requestOptions?: RequestOptions): Promise<RecordResponse<DivisionOrder>>;
+  getFamilies(options?: FilterListOptions): Promise<CollectionResponse<Family>>;
+  getFamily(familyId: number | string, requestOptions?: RequestOptions): Promise<RecordResponse<Family>>;
+  getGenera(options?: FilterListOptions): Promise<CollectionResponse<Genus>>;
+  getGenus(genusId: number | string, requestOptions?: RequestOptions): Promise<RecordResponse<Genus>>;
+
+  // Plants
+  getPlants(options?: PlantListOptions): Promise<CollectionResponse<Plant>>;
+  getPlant(plantId: number | string, requestOptions?: RequestOptions): Promise<RecordResponse<PlantDetail>>;
+  getPlantsByIds(plantIds: Array<number | string>, options?: BulkOptions<PlantDetail>): Promise<Array<BulkResult<PlantDetail>>>;
+  searchPlants(query: string, options?: PlantListOptions): Promise<CollectionResponse<Plant>>;
+  getPlantsByZone(zoneId: number | string, options?: PlantListOptions): Promise<CollectionResponse<Plant>>;
+  getPlantsByGenus(genusId: number | string, options?: PlantListOptions): Promise<CollectionResponse<Plant>>;
+  reportPlant(plantId: number | string, notes: string, requestOptions?: RequestOptions): Promise<RecordResponse<Correction>>;
+
+  // Species
+  getSpeciesList(options?: PlantListOptions): Promise<CollectionResponse<Species>>;
+  getSpecies(speciesId: number | string, requestOptions?: RequestOptions): Promise<RecordResponse<SpeciesDetail>>;
+  getSpeciesByIds(speciesIds: Array<number | string>, options?: BulkOptions<SpeciesDetail>): Promise<Array<BulkResult<SpeciesDetail>>>;
+  searchSpecies(query: string, options?: PlantListOptions): Promise<CollectionResponse<Species>>;
+  reportSpecies(speciesId: number | string, notes: string, requestOptions?: RequestOptions): Promise<RecordResponse<Correction>>;
+
+  // Distributions
+  getDistributions(options?: ListOptions): Promise<CollectionResponse<DistributionZone>>;
+  getDistribution(distributionId: number | string, requestOptions?: RequestOptions): Promise<RecordResponse<DistributionZone>>;
+
+  // Corrections
+  getCorrections(options?: ListOptions): Promise<CollectionResponse<Correction>>;
+  getCorrection(correctionId: number, requestOptions?: RequestOptions): Promise<RecordResponse<Correction>>;
+  getCorrectionsForSpecies(recordId: number, requestOptions?: RequestOptions): Promise<CollectionResponse<Correction>>;
+
+  // Authentication
+  claimClientToken(options: { origin: string; ip?: string | null; signal?: AbortSignal }): Promise<ClientTokenClaim>;
+
+  // Helpers
+  plants(): QueryBuilder<Plant>;
+  species(): QueryBuilder<Species>;
+  getClientTokenStatus(): ClientTokenStatus | null;
+  getCacheStats(): CacheStats | null;
+  getMetrics(): MetricsSnapshot | null;
+  getPrometheusMetrics(options?: { prefix?: string }): string;
+  resetMetrics(): void;
+  getSchemaDrift(): SchemaDriftReport | null;
+  resetSchemaDrift(): void;
+  clearCache(): Promise<void>;
+  paginate<M extends PaginatedMethodName>(methodName: M, ...args: PaginationArgs<M>): AsyncGenerator<Page<RecordOf<M>>, void, undefined>;
+  iterateRecords<M extends PaginatedMethodName>(methodName: M, ...args: PaginationArgs<M>): AsyncGenerator<RecordOf<M>, void, undefined>;
+  getAllPages<M extends PaginatedMethodName>(methodName: M, ...args: PaginationArgs<M>): Promise<Array<RecordOf<M>>>;
+}
+
+export {
+  TrefleError,
+  TrefleAuthError,
+  TrefleNotFoundError,
+  TrefleRateLimitError,
+  TrefleValidationError,
+  TrefleServerError,
+  TrefleNetworkError,
+  TrefleAbortError,
+  TrefleSchemaError
+} from './errors.js';
+
+export { MemoryCache, FileCache } from './cache.js';
+export type { CacheStore, CacheStats } from './cache.js';
+export { QueryBuilder, FILTER_FIELDS, RANGE_FIELDS } from './query-builder.js';
+export type { FilterField, RangeField, QueryOptions } from './query-builder.js';
+export { MetricsRegistry, formatPrometheus } from './metrics.js';
+export type { MetricsSnapshot } from './metrics.js';
+export { SchemaValidator, SCHEMAS, validate, validateResponse } from './schemas.js';
+export type { SchemaIssue, SchemaDriftReport, ValidationMode } from './schemas.js';
+export type { ClientTokenClaim, ClientTokenStatus } from './client-token.js';
+
+export default TrefleAPI;
@@ -0,0 +1,78 @@
+/**
+ * Trefle Response Cache
+ */
+
+/** Default time-to-live for cached responses in ms (1 hour) */
+export const DEFAULT_CACHE_TTL: number;
+
+/** Default time-to-live in ms per endpoint resource */
+export const DEFAULT_CACHE_TTLS: Record<string, number>;
+
+/**
+ * Storage backend for cached responses.
+ */
+export interface CacheStore {
+  get(key: string): Promise<unknown>;
+  set(key: string, value: unknown, ttlMs: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export interface CacheStats {
+  hits: number;
+  misses: number;
+  writes: number;
+  bypasses: number;
+  /** Hits divided by lookups (0-1) */
+  hitRate: number;
+}
+
+export interface ResponseCacheOptions {
+  /** Storage backend (default: MemoryCache) */
+  store?: CacheStore;
+  /** Default time-to-live in ms (default: 1 hour) */
+  ttl?: number;
+  /** Time-to-live in ms per endpoint resource (e.g. { plants: 3600000 }) */
+  ttls?: Record<string, number>;
+}
+
+export function createCacheKey(endpoint: string, params?: Record<string, unknown>, baseUrl?: string | null): string;
+
+/**
+ * In-process LRU cache, bounded by entry count.
+ */
+export class MemoryCache implements CacheStore {
+  constructor(options?: { maxEntries?: number });
+  maxEntries: number;
+  get(key: string): Promise<unknown>;
+  set(key: string, value: unknown, ttlMs: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+/**
+ * JSON files under a cache directory, shared across runs and processes.
+ */
+export class FileCache implements CacheStore {
+  constructor(options: { directory: string });
+  directory: string;
+  get(key: string): Promise<unknown>;
+  set(key: string, value: unknown, ttlMs: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+/**
+ * Cache layer used by TrefleAPI, with per-endpoint TTLs and hit statistics.
+ */
+export class ResponseCache {
+  constructor(options?: ResponseCacheOptions);
+  store: CacheStore;
+  getTtl(endpoint: string): number;
+  get(key: string): Promise<unknown>;
+  set(key: string, endpoint: string, value: unknown): Promise<void>;
+  recordBypass(): void;
+  getStats(): CacheStats;
+  resetStats(): void;
+  clear(): Promise<void>;
+}
@@ -0,0 +1,361 @@
+/**
+ * Trefle Response Cache
+ *
+ * Optional cache layer for TrefleAPI GET responses. Responses are keyed on
+ * endpoint plus request parameters (the API token is never part of the key)
+ * and expire after a per-endpoint TTL.
+ *
+ * Two storage backends are provided:
+ * - MemoryCache: in-process LRU cache, bounded by entry count
+ * - FileCache: JSON files under a cache directory, shared across runs and processes
+ *
+ * Any object implementing async get(key), set(key, value, ttlMs), delete(key)
+ * and clear() can be used as a custom backend.
+ *
+ * @example
+ * const api = new TrefleAPI({
+ *   cache: {
+ *     store: new FileCache({ directory: '.trefle-cache' }),
+ *     ttls: { plants: 6 * 60 * 60 * 1000 }
+ *   }
+ * });
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { redactString } from './redact.js';
+
+// Default time-to-live for cached responses (1 hour)
+export const DEFAULT_CACHE_TTL = 60 * 60 * 1000;
+
+// Default time-to-live per endpoint resource; reference data changes rarely
+export const DEFAULT_CACHE_TTLS = {
+  kingdoms: 24 * 60 * 60 * 1000,
+  subkingdoms: 24 * 60 * 60 * 1000,
+  divisions: 24 * 60 * 60 * 1000,
+  division_classes: 24 * 60 * 60 * 1000,
+  division_orders: 24 * 60 * 60 * 1000,
+  families: 24 * 60 * 60 * 1000,
+  genus: 24 * 60 * 60 * 1000,
+  distributions: 24 * 60 * 60 * 1000,
+  corrections: 5 * 60 * 1000
+};
+
+// Collections whose TTL applies when they are scoped under another resource
+const SCOPED_COLLECTIONS = ['plants', 'species'];
+
+/**
+ * Build a cache key from an endpoint and its request parameters.
+ *
+ * Parameters are sorted so that key order does not matter, and the
+ * API token is excluded. With a base URL, the key is the full request URL,
+ * so clients of different APIs (e.g. staging and production) sharing one
+ * store never see each other's responses.
+ *
+ * @param {string} endpoint - API endpoint path
+ * @param {Object} params - Request parameters
+ * @param {string} baseUrl - API base URL the endpoint is resolved against (optional)
+ * @returns {string} Cache key
+ *
+ * @example
+ * createCacheKey('plants', { token: 'abc', page: 2 }); // 'plants?page=2'
+ * createCacheKey('plants', { page: 2 }, 'https://trefle.io/api/v1'); // 'https://trefle.io/api/v1/plants?page=2'
+ */
+export function createCacheKey(endpoint, params = {}, baseUrl = null) {
+  const query = Object.keys(params)
+    .filter(key => key !== 'token' && params[key] !== null && params[key] !== undefined)
+    .sort()
+    .map(key => {
+      const value = params[key];
+      const serialized = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return `${encodeURIComponent(key)}=${encodeURIComponent(serialized)}`;
+    })
+    .join('&');
+
+  const url = baseUrl ? `${baseUrl}/${endpoint}` : endpoint;
+  return query ? `${url}?${query}` : url;
+}
+
+/**
+ * In-memory LRU cache backend.
+ *
+ * Values are cloned on the way in and out so callers cannot mutate cached responses.
+ */
+export class MemoryCache {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} options.maxEntries - Maximum number of cached responses (default: 500)
+   */
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a cached value.
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<any>} Cached value, or undefined if missing or expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return structuredClone(entry.value);
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry when full.
+   *
+   * @param {string} key - Cache key
+   * @param {any} value - Value to cache
+   * @param {number} ttlMs - Time-to-live in milliseconds
+   */
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  /**
+   * Remove a cached value.
+   *
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove all cached values.
+   */
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Filesystem cache backend.
+ *
+ * Each response is stored as a JSON file named after the hash of its key,
+ * so the cache can be shared between runs and processes.
+ */
+export class FileCache {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.directory - Cache directory (created on first write)
+   *
+   * @throws {Error} If directory is not provided
+   */
+  constructor({ directory } = {}) {
+    if (!directory) {
+      throw new Error('Cache directory is required');
+    }
+
+    this.directory = directory;
+  }
+
+  /**
+   * Get the file path for a cache key.
+   *
+   * @param {string} key - Cache key
+   * @returns {string} Path of the cache file
+   * @private
+   */
+  _filepath(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  /**
+   * Get a cached value.
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<any>} Cached value, or undefined if missing, expired or unreadable
+   */
+  async get(key) {
+    const filepath = this._filepath(key);
+    let entry;
+
+    try {
+      entry = JSON.parse(await fs.readFile(filepath, 'utf-8'));
+    } catch {
+      return undefined;
+    }
+
+    if (entry.key !== key || entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Store a value.
+   *
+   * Writes to a temporary file first so concurrent readers never see partial JSON.
+   * Registered secrets and token query parameters are redacted from the stored JSON.
+   *
+   * @param {string} key - Cache key
+   * @param {any} value - Value to cache
+   * @param {number} ttlMs - Time-to-live in milliseconds
+   */
+  async set(key, value, ttlMs) {
+    const filepath = this._filepath(key);
+    const tmpPath = `${filepath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(tmpPath, redactString(JSON.stringify({ key, expiresAt: Date.now() + ttlMs, value })));
+    await fs.rename(tmpPath, filepath);
+  }
+
+  /**
+   * Remove a cached value.
+   *
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    await fs.rm(this._filepath(key), { force: true });
+  }
+
+  /**
+   * Remove all cached values.
+   */
+  async clear() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch {
+      return;
+    }
+
+    await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => fs.rm(path.join(this.directory, file), { force: true }))
+    );
+  }
+}
+
+/**
+ * Response cache used by TrefleAPI.
+ *
+ * Wraps a storage backend with per-endpoint TTLs and hit/miss statistics.
+ */
+export class ResponseCache {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Object} options.store - Storage backend (default: new MemoryCache())
+   * @param {number} options.ttl - Default time-to-live in ms (default: 1 hour)
+   * @param {Object} options.ttls - Time-to-live in ms per endpoint resource (first path segment, or
+   *                                'plants'/'species' for scoped lists like 'genus/1/plants',
+   *                                e.g. { plants: 3600000, genus: 86400000 }); merged over DEFAULT_CACHE_TTLS
+   */
+  constructor({ store = new MemoryCache(), ttl = DEFAULT_CACHE_TTL, ttls = {} } = {}) {
+    this.store = store;
+    this.ttl = ttl;
+    this.ttls = { ...DEFAULT_CACHE_TTLS, ...ttls };
+    this.resetStats();
+  }
+
+  /**
+   * Get the time-to-live for an endpoint.
+   *
+   * @param {string} endpoint - API endpoint path (e.g. 'plants/123')
+   * @returns {number} Time-to-live in milliseconds
+   */
+  getTtl(endpoint) {
+    const segments = endpoint.split('/');
+    const last = segments[segments.length - 1];
+
+    // Scoped lists such as 'distributions/fra/plants' and 'genus/1/plants' hold
+    // plants or species, not the reference data of their first segment
+    const resource = segments.length > 1 && SCOPED_COLLECTIONS.includes(last) ? last : segments[0];
+    return this.ttls[resource] ?? this.ttl;
+  }
+
+  /**
+   * Look up a cached response.
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<any>} Cached response, or undefined on a miss
+   */
+  async get(key) {
+    const value = await this.store.get(key);
+
+    if (value === undefined) {
+      this.stats.misses++;
+    } else {
+      this.stats.hits++;
+    }
+
+    return value;
+  }
+
+  /**
+   * Store a response for an endpoint.
+   *
+   * @param {string} key - Cache key
+   * @param {string} endpoint - API endpoint path (selects the TTL)
+   * @param {any} value - Response to cache
+   */
+  async set(key, endpoint, value) {
+    const ttl = this.getTtl(endpoint);
+    if (ttl <= 0) {
+      return;
+    }
+
+    await this.store.set(key, value, ttl);
+    this.stats.writes++;
+  }
+
+  /**
+   * Record a request that skipped the cache lookup.
+   */
+  recordBypass() {
+    this.stats.bypasses++;
+  }
+
+  /**
+   * Get cache statistics.
+   *
+   * @returns {Object} Counts of hits, misses, writes and bypasses, plus the hit rate (0-1)
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+    };
+  }
+
+  /**
+   * Reset cache statistics to zero.
+   */
+  resetStats() {
+    this.stats = { hits: 0, misses: 0, writes: 0, bypasses: 0 };
+  }
+
+  /**
+   * Remove all cached responses.
+   */
+  async clear() {
+    await this.store.clear();
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Trefle CLI Helpers
+ *
+ * Helpers used only by the command-line tool: parsing the query flags
+ * (--filter, --filter-not, --range, --order) into list method options,
+ * describing them in logs and file names, and turning IDs into directory
+ * names. Not part of the library API.
+ *
+ * @example
+ * const query = parseQueryFlags({ filter: ['edible=true'], order: ['common_name'] });
+ * describeQuery(query); // 'filter edible=true; order common_name:asc'
+ * querySlug(query);     // 'edible-true_by-common_name-asc'
+ */
+
+import crypto from 'crypto';
+import { QueryBuilder } from './query-builder.js';
+import { TrefleValidationError } from './errors.js';
+
+// Longest query slug kept verbatim in file names; longer slugs are shortened with a hash
+const MAX_QUERY_SLUG_LENGTH = 80;
+
+/**
+ * Split a 'field=value' flag entry.
+ *
+ * @param {string} entry - Flag entry
+ * @param {string} flag - Flag name for error messages
+ * @param {boolean} valueRequired - Whether the '=value' part is required
+ * @returns {Array} [field, value] with value null when absent
+ * @throws {TrefleValidationError} If the entry is malformed
+ * @private
+ */
+function splitFlagEntry(entry, flag, valueRequired = true) {
+  const separator = entry.indexOf('=');
+  const field = (separator === -1 ? entry : entry.slice(0, separator)).trim();
+  const value = separator === -1 ? null : entry.slice(separator + 1).trim();
+
+  if (!field || (valueRequired && !value) || value === '') {
+    const expected = valueRequired ? 'field=value' : 'field or field=value';
+    throw new TrefleValidationError(`Invalid ${flag} '${entry}'. Expected ${expected}`);
+  }
+
+  return [field, value];
+}
+
+/**
+ * Parse a comma-separated flag value into a single value or a list of values.
+ *
+ * @param {string} value - Flag value
+ * @returns {string|Array<string>} Value, or values when the input has commas
+ * @private
+ */
+function splitFlagValues(value) {
+  const values = value.split(',').map(item => item.trim());
+  return values.length === 1 ? values[0] : values;
+}
+
+/**
+ * Parse command-line query flags into list method options.
+ *
+ * Every entry is validated like the QueryBuilder methods, so mistakes are
+ * reported before any request is sent.
+ *
+ * @param {Object} flags - Flag values
+ * @param {Array<string>} flags.filter - 'field=value' entries; 'field=a,b' matches either value
+ * @param {Array<string>} flags.filterNot - 'field=value' entries, or 'field' to leave out records without a value
+ * @param {Array<string>} flags.range - 'field=min,max' entries for numeric fields
+ * @param {Array<string>} flags.order - 'field' or 'field:asc|desc' entries, in sort priority order
+ * @returns {Object} Options with 'filter', 'filter_not', 'range' and 'order' (empty ones omitted)
+ *
+ * @throws {TrefleValidationError} If an entry is malformed, a field is unknown or a value has the wrong type
+ *
+ * @example
+ * parseQueryFlags({ filter: ['edible=true'], range: ['maximum_height=100,500'], order: ['common_name'] });
+ * // { filter: { edible: 'true' }, range: { maximum_height: [100, 500] }, order: { common_name: 'asc' } }
+ */
+export function parseQueryFlags({ filter = [], filterNot = [], range = [], order = [] } = {}) {
+  const builder = new QueryBuilder(null, 'plants');
+
+  for (const entry of filter) {
+    const [field, value] = splitFlagEntry(entry, '--filter');
+    builder.where(field, splitFlagValues(value));
+  }
+
+  for (const entry of filterNot) {
+    const [field, value] = splitFlagEntry(entry, '--filter-not', false);
+    builder.exclude(field, value === null ? null : splitFlagValues(value));
+  }
+
+  for (const entry of range) {
+    const [field, value] = splitFlagEntry(entry, '--range');
+    const bounds = value.split(',').map(bound => bound.trim());
+    if (bounds.length !== 2 || bounds.includes('')) {
+      throw new TrefleValidationError(`Invalid --range '${entry}'. Expected field=min,max`);
+    }
+    builder.range(field, bounds[0], bounds[1]);
+  }
+
+  for (const entry of order) {
+    const [field, direction = 'asc', ...rest] = entry.split(':').map(part => part.trim());
+    if (!field || rest.length > 0) {
+      throw new TrefleValidationError(`Invalid --order '${entry}'. Expected field or field:asc|desc`);
+    }
+    builder.orderBy(field, direction);
+  }
+
+  return builder.toOptions();
+}
+
+/**
+ * Describe query options for logs, e.g. 'filter edible=true; range maximum_height=100..500'.
+ *
+ * @param {Object} options - Options from parseQueryFlags() or QueryBuilder.toOptions()
+ * @returns {string} Description, empty for an unfiltered query
+ */
+export function describeQuery({ filter = {}, filter_not: filterNot = {}, range = {}, order = {} } = {}) {
+  const format = value => (Array.isArray(value) ? value.join(',') : value);
+  const parts = [
+    ['filter', Object.entries(filter).map(([field, value]) => `${field}=${format(value)}`)],
+    ['exclude', Object.entries(filterNot).map(([field, value]) => (value === null ? field : `${field}=${format(value)}`))],
+    ['range', Object.entries(range).map(([field, [min, max]]) => `${field}=${min}..${max}`)],
+    ['order', Object.entries(order).map(([field, direction]) => `${field}:${direction}`)]
+  ];
+
+  return parts
+    .filter(([, entries]) => entries.length > 0)
+    .map(([label, entries]) => `${label} ${entries.join(', ')}`)
+    .join('; ');
+}
+
+/**
+ * Build a file-name-safe slug for query options, so filtered crawls do not
+ * overwrite unfiltered ones.
+ *
+ * Slugs longer than 80 characters are shortened and suffixed with a hash of
+ * the full slug.
+ *
+ * @param {Object} options - Options from parseQueryFlags() or QueryBuilder.toOptions()
+ * @returns {string} Slug such as 'edible-true_not-toxicity-high_by-common_name-asc', empty for an
+ *                   unfiltered query
+ */
+export function querySlug({ filter = {}, filter_not: filterNot = {}, range = {}, order = {} } = {}) {
+  const format = value => (Array.isArray(value) ? value.join('+') : String(value));
+  const parts = [
+    ...Object.entries(filter).map(([field, value]) => `${field}-${format(value)}`),
+    ...Object.entries(filterNot).map(([field, value]) => (value === null ? `not-${field}` : `not-${field}-${format(value)}`)),
+    ...Object.entries(range).map(([field, [min, max]]) => `${field}-${min}-${max}`),
+    ...Object.entries(order).map(([field, direction]) => `by-${field}-${direction}`)
+  ];
+
+  const slug = parts.join('_').replace(/[^A-Za-z0-9_.+-]+/g, '-');
+  if (slug.length <= MAX_QUERY_SLUG_LENGTH) {
+    return slug;
+  }
+
+  const hash = crypto.createHash('sha1').update(slug).digest('hex').slice(0, 8);
+  return `${slug.slice(0, MAX_QUERY_SLUG_LENGTH - 9).replace(/[_-]+$/, '')}-${hash}`;
+}
+
+/**
+ * Encode an ID or slug as a single directory name.
+ *
+ * Letters, digits, '_' and '-' are kept; every other character is
+ * percent-encoded (including '.' and '%'), so the name can never point
+ * outside its parent directory and different IDs never share a directory.
+ *
+ * @param {number|string} id - ID or slug
+ * @returns {string} Directory name, decodable with decodeURIComponent()
+ *
+ * @example
+ * directoryName('quercus');  // 'quercus'
+ * directoryName('a.b');      // 'a%2Eb'
+ * directoryName('../etc');   // '%2E%2E%2Fetc'
+ */
+export function directoryName(id) {
+  return encodeURIComponent(String(id)).replace(
+    /[^A-Za-z0-9_%-]/g,
+    char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`
+  );
+}
@@ -17,28 +17,37 @@
  *   datasets/
  *   ├── trefle/
  *   │   ├── single/          # One-time reference data
- *   │   │   ├── zones.json
  *   │   │   └── genus_list.json
+ *   │   ├── taxonomy/        # Paginated taxonomy lists
+ *   │   │   └── genera_pages_1-10.json
  *   │   ├── plants/          # Paginated plant lists
  *   │   │   ├── plants_pages_1-10.json
+ *   │   │   ├── plants_pages_1-10_edible-true.json   # With --filter edible=true
  *   │   │   └── ...
  *   │   └── search/          # Search results
  *   │       └── {query}_results.json
  */
 
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import path from 'path';
 import fs from 'fs';
+import readline from 'readline/promises';
 import { fileURLToPath } from 'url';
 import { TrefleAPI } from './api.js';
+import { FileCache } from './cache.js';
+import { loadMiddleware } from './middleware.js';
+import { redactError } from './redact.js';
+import { parseQueryFlags, describeQuery, querySlug, directoryName } from './cli-helpers.js';
+import { createSubmission, readCorrectionsCsv, CorrectionLedger, submitCorrections } from './corrections.js';
 import {
   writeToFile,
   randomNumber,
   pause,
   callAPI,
   trimPlantSynonyms,
+  compactGenusList,
   flattenPlantData,
-  setLogLevel,
+  configureLogging,
   logger
 } from './utils.js';
 
@@ -53,6 +62,29 @@ const { version } = packageJson;
 // Base directory for plant data
 const BASE_DATA_DIR = path.join(process.cwd(), 'datasets');
 
+// Default directory for cached API responses (relative to the working directory)
+const DEFAULT_CACHE_DIR = path.join('datasets', '.cache');
+
+// Default ledger of submitted corrections (relative to the working directory)
+const DEFAULT_LEDGER_FILE = path.join('datasets', 'trefle', 'corrections', 'ledger.jsonl');
+
+/**
+ * Parse a positive integer option value (commander option parser).
+ *
+ * @param {string} value - Raw option value
+ * @returns {number} Parsed integer
+ *
+ * @throws {InvalidArgumentError} If the value is not a positive integer
+ */
+function parsePositiveInt(value) {
+  // Whole digits only, so values such as '2abc' or '2.5' are not read as 2
+  const parsed = /^\d+$/.test(value.trim()) ? parseInt(value, 10) : NaN;
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    throw new InvalidArgumentError('Must be a positive integer.');
+  }
+  return parsed;
+}
+
 /**
  * Get the appropriate file extension for the given format.
  *
@@ -69,6 +101,18 @@ function getFileExtension(fileFormat) {
   }
 }
 
+/**
+ * Get the file name suffix for the --filter, --filter-not, --range and --order
+ * flags, so filtered results do not overwrite unfiltered ones.
+ *
+ * @param {Object} options - Parsed command-line options
+ * @returns {string} Suffix such as '_edible-true', or '' without query flags
+ */
+function getQuerySuffix(options) {
+  const slug = querySlug(options.query);
+  return slug ? `_${slug}` : '';
+}
+
 /**
  * Enrich a list of plants by fetching detailed data for each plant and flattening.
  *
@@ -136,160 +180,315 @@ async function fetchSingleEndpoints(api, options) {
   // Fetch genus list (zones are handled in fetchDistributionsAndCorrections)
   if (options.genusList) {
     const singleDir = path.join(BASE_DATA_DIR, 'trefle/single');
+    const fileExt = getFileExtension(options.format);
 
     logger.info('='.repeat(60));
     logger.info('Fetching genus list...');
     logger.info('='.repeat(60));
 
     if (options.dryRun) {
-      logger.info('[DRY RUN] Would fetch genus list to: datasets/trefle/single/genus_list.json');
+      logger.info(`[DRY RUN] Would fetch all genus pages to: datasets/trefle/single/genus_list${fileExt}`);
     } else {
-      // Note: Trefle doesn't have a simple genus list endpoint
-      logger.warn('Genus list endpoint not yet implemented in TrefleAPI');
+      // Page through every genus; the table is only written once complete
+      const genera = [];
+      try {
+        for await (const page of api.paginate('getGenera')) {
+          genera.push(...compactGenusList(page.data));
+          logger.info(`✓ Fetched genus page ${page.page} (${genera.length}/${page.meta?.total ?? 'unknown'} genera)`);
+        }
 
-      // Rate limiting pause
-      await pause(randomNumber(2, 5));
+        const filepath = path.join(singleDir, `genus_list${fileExt}`);
+        await writeToFile(genera, filepath, options.format);
+        logger.info(`✓ Saved ${genera.length} genera to ${filepath}`);
+      } catch (error) {
+        logger.error(`✗ Error fetching genus list after ${genera.length} genera: ${error.message}`);
+      }
     }
   }
 }
 
 /**
- * Fetch plants with pagination, batching every 10 pages into single files.
- * Optionally enriches data with full plant details when --enrichment flag is set.
+ * Page through a list endpoint, saving every batchSize pages to one file named
+ * '{fileName}_pages_{start}-{end}{fileSuffix}{ext}'.
+ *
+ * Respects --pages, --start-page and --dry-run. Stops at the last page, and on
+ * an error or an empty page saves the pages fetched so far.
  *
  * @param {TrefleAPI} api - Initialized TrefleAPI instance
+ * @param {Object} crawl - Crawl settings
+ * @param {string} crawl.label - Record type for log messages (e.g. 'plants')
+ * @param {string} crawl.methodName - Paginated API method (e.g. 'getPlants')
+ * @param {Array} crawl.args - Positional arguments for the method, such as a zone ID
+ * @param {Object} crawl.params - Extra list options, such as query filters
+ * @param {string} crawl.dir - Output directory under datasets/ (e.g. 'trefle/plants')
+ * @param {string} crawl.fileName - File name prefix (e.g. 'plants')
+ * @param {string} crawl.fileSuffix - Text added after the page range (e.g. '_enriched')
+ * @param {number} crawl.batchSize - Pages per file (default: 10)
+ * @param {Function} crawl.transform - Async function applied to each page's records before saving
  * @param {Object} options - Parsed command-line options
+ * @returns {Promise<number>} Number of pages fetched
  */
-async function fetchPlants(api, options) {
-  if (!options.plants) {
-    return;
-  }
-
-  const plantsDir = path.join(BASE_DATA_DIR, 'trefle/plants');
+async function crawlListPages(api, crawl, options) {
+  const {
+    label,
+    methodName,
+    args = [],
+    params = {},
+    dir,
+    fileName,
+    fileSuffix = '',
+    batchSize = 10,
+    transform = records => records
+  } = crawl;
   const fileExt = getFileExtension(options.format);
-  const enrichedSuffix = options.enrichment ? '_enriched' : '';
-
-  logger.info('='.repeat(60));
-  logger.info(`Fetching plants (${options.enrichment ? 'enriched' : 'paginated'})...`);
-  if (options.enrichment) {
-    logger.info('Enrichment enabled: Fetching full details for each plant');
-  }
-  logger.info(`Output format: ${options.format}`);
-  logger.info('='.repeat(60));
+  const batchPath = (start, end) => path.join(dir, `${fileName}_pages_${start}-${end}${fileSuffix}${fileExt}`);
 
   let page = options.startPage;
   let pagesFetched = 0;
-  const batchSize = options.enrichment ? 5 : 10; // Smaller batches for enriched data
   let batchData = []; // Accumulate data for current batch
   let batchStartPage = page;
 
+  // Save the current batch ending at endPage and start a new one after it
+  const saveBatch = async (endPage, description) => {
+    if (batchData.length > 0) {
+      const filepath = path.join(BASE_DATA_DIR, batchPath(batchStartPage, endPage));
+      await writeToFile(batchData, filepath, options.format);
+      logger.info(`✓ Saved ${description} (pages ${batchStartPage}-${endPage}) with ${batchData.length} ${label} to ${filepath}`);
+    }
+    batchData = [];
+    batchStartPage = endPage + 1;
+  };
+
   while (true) {
     // Check if we've hit the page limit
     if (options.pages && pagesFetched >= options.pages) {
       logger.info(`Reached page limit (${options.pages}). Stopping.`);
-      // Save any remaining batch data
-      if (batchData.length > 0 && !options.dryRun) {
-        const batchEndPage = page - 1;
-        const filepath = path.join(plantsDir, `plants_pages_${batchStartPage}-${batchEndPage}${enrichedSuffix}${fileExt}`);
-        await writeToFile(batchData, filepath, options.format);
-        logger.info(`✓ Saved final batch (pages ${batchStartPage}-${batchEndPage}) to ${filepath}`);
+      if (!options.dryRun) {
+        await saveBatch(page - 1, 'final batch');
       }
       break;
     }
 
-    logger.info(`Fetching page ${page}...`);
-
     if (options.dryRun) {
-      logger.info(`[DRY RUN] Would fetch plants page ${page}`);
-      if (options.enrichment) {
-        logger.info('[DRY RUN] Would enrich data for plants on this page');
-      }
+      logger.info(`[DRY RUN] Would fetch ${label} page ${page}`);
       pagesFetched++;
       page++;
 
       // For dry run, show batch example every batchSize pages
       if (pagesFetched % batchSize === 0) {
-        const batchEnd = page - 1;
-        const batchStart = batchEnd - batchSize + 1;
-        logger.info(`[DRY RUN] Would write batch: datasets/trefle/plants/plants_pages_${batchStart}-${batchEnd}${enrichedSuffix}${fileExt}`);
+        logger.info(`[DRY RUN] Would write batch: datasets/${batchPath(page - batchSize, page - 1)}`);
       }
 
       // For dry run, stop after showing 3 batches worth
-      if (pagesFetched >= 15) {
-        logger.info('[DRY RUN] (showing first 15 pages / 3 batches only)');
+      if (pagesFetched >= batchSize * 3) {
+        logger.info(`[DRY RUN] (showing first ${batchSize * 3} pages / 3 batches only)`);
         break;
       }
-    } else {
-      try {
-        // Fetch the page
-        const result = await api.getPlants({ page });
-
-        // Process the data
-        if (result.data && result.data.length > 0) {
-          const pagePlants = result.data;
-
-          if (options.enrichment) {
-            // Enrich with full plant details
-            logger.info(`✓ Fetched page ${page} (${pagePlants.length} plants)`);
-            const enrichedData = await enrichPlantData(api, pagePlants, options.dryRun);
-            batchData.push(...enrichedData);
-          } else {
-            // Trim synonyms only (basic mode)
-            const trimmedData = trimPlantSynonyms(pagePlants, 5);
-            batchData.push(...trimmedData);
-            logger.info(`✓ Fetched page ${page} (${trimmedData.length} plants)`);
-          }
+      continue;
+    }
 
-          pagesFetched++;
+    logger.info(`Fetching ${label} page ${page}...`);
 
-          // Check if we've completed a batch
-          if (pagesFetched % batchSize === 0) {
-            const batchEndPage = page;
-            const filepath = path.join(plantsDir, `plants_pages_${batchStartPage}-${batchEndPage}${enrichedSuffix}${fileExt}`);
-            await writeToFile(batchData, filepath, options.format);
-            logger.info(`✓✓ Saved batch (pages ${batchStartPage}-${batchEndPage}) with ${batchData.length} total plants to ${filepath}`);
+    let result;
+    try {
+      result = await api[methodName](...args, { ...params, page });
+    } catch (error) {
+      logger.error(`✗ Error fetching ${label} page ${page}: ${error.message}`);
+      await saveBatch(page - 1, 'partial batch');
+      break;
+    }
 
-            // Reset batch for next set
-            batchData = [];
-            batchStartPage = page + 1;
-          }
+    if (!result.data || result.data.length === 0) {
+      logger.warn(`No ${label} returned for page ${page}`);
+      await saveBatch(page - 1, 'final batch');
+      break;
+    }
 
-          // Check if there's a next page
-          if (result.links && result.links.next) {
-            page++;
-
-            // Rate limiting pause between requests
-            await pause(randomNumber(2, 5));
-          } else {
-            logger.info('No more pages available.');
-            // Save any remaining batch data
-            if (batchData.length > 0) {
-              const batchEndPage = page;
-              const filepath = path.join(plantsDir, `plants_pages_${batchStartPage}-${batchEndPage}${enrichedSuffix}${fileExt}`);
-              await writeToFile(batchData, filepath, options.format);
-              logger.info(`✓ Saved final batch (pages ${batchStartPage}-${batchEndPage}) with ${batchData.length} plants to ${filepath}`);
-            }
-            break;
-          }
-        } else {
-          logger.warn('No data returned for this page');
-          break;
-        }
-      } catch (error) {
-        logger.error(`✗ Error fetching page ${page}: ${error.message}`);
-        // Save any accumulated data before breaking
-        if (batchData.length > 0) {
-          const batchEndPage = page - 1;
-          const filepath = path.join(plantsDir, `plants_pages_${batchStartPage}-${batchEndPage}${enrichedSuffix}${fileExt}`);
-          await writeToFile(batchData, filepath, options.format);
-          logger.info(`✓ Saved partial batch (pages ${batchStartPage}-${batchEndPage}) with ${batchData.length} plants to ${filepath}`);
-        }
-        break;
-      }
+    const records = await transform(result.data);
+    batchData.push(...records);
+    pagesFetched++;
+    logger.info(`✓ Fetched page ${page} (${records.length} ${label})`);
+
+    // Check if there's a next page
+    if (!result.links?.next) {
+      logger.info('No more pages available.');
+      await saveBatch(page, 'final batch');
+      break;
+    }
+
+    // Check if we've completed a batch
+    if (pagesFetched % batchSize === 0) {
+      await saveBatch(page, 'batch');
     }
+
+    page++;
+
+    // Rate limiting pause between requests
+    await pause(randomNumber(2, 5));
   }
 
-  logger.info(`Completed: Fetched ${pagesFetched} page(s) of plants`);
+  logger.info(`Completed: Fetched ${pagesFetched} page(s) of ${label}`);
+  return pagesFetched;
+}
+
+/**
+ * Get the crawlListPages() settings shared by every plant list crawl: query
+ * flags, enrichment and batch size.
+ *
+ * @param {TrefleAPI} api - Initialized TrefleAPI instance
+ * @param {Object} options - Parsed command-line options
+ * @returns {Object} Crawl settings without 'methodName', 'args' and 'dir'
+ */
+function getPlantCrawlSettings(api, options) {
+  return {
+    label: 'plants',
+    params: options.query,
+    fileName: 'plants',
+    fileSuffix: `${getQuerySuffix(options)}${options.enrichment ? '_enriched' : ''}`,
+    batchSize: options.enrichment ? 5 : 10, // Smaller batches for enriched data
+    // Enrich with full plant details, or trim synonyms only (basic mode)
+    transform: records => (options.enrichment ? enrichPlantData(api, records) : trimPlantSynonyms(records, 5))
+  };
+}
+
+/**
+ * Fetch plants with pagination, batching every 10 pages into single files.
+ * Optionally enriches data with full plant details when --enrichment flag is set.
+ *
+ * @param {TrefleAPI} api - Initialized TrefleAPI instance
+ * @param {Object} options - Parsed command-line options
+ */
+async function fetchPlants(api, options) {
+  if (!options.plants) {
+    return;
+  }
+
+  logger.info('='.repeat(60));
+  logger.info(`Fetching plants (${options.enrichment ? 'enriched' : 'paginated'})...`);
+  if (options.enrichment) {
+    logger.info('Enrichment enabled: Fetching full details for each plant');
+  }
+  logger.info(`Output format: ${options.format}`);
+  logger.info('='.repeat(60));
+
+  await crawlListPages(api, {
+    ...getPlantCrawlSettings(api, options),
+    methodName: 'getPlants',
+    dir: 'trefle/plants'
+  }, options);
+}
+
+/**
+ * Fetch all plants of each --zone-plants distribution zone and --genus-plants
+ * genus, batched like --plants under distributions/<zone>/ and genus/<id>/.
+ *
+ * @param {TrefleAPI} api - Initialized TrefleAPI instance
+ * @param {Object} options - Parsed command-line options
+ */
+async function fetchScopedPlants(api, options) {
+  const scopes = [
+    ...(options.zonePlants || []).map(id => ({ id, name: 'zone', methodName: 'getPlantsByZone', dir: 'trefle/distributions' })),
+    ...(options.genusPlants || []).map(id => ({ id, name: 'genus', methodName: 'getPlantsByGenus', dir: 'trefle/genus' }))
+  ];
+
+  for (const scope of scopes) {
+    logger.info('='.repeat(60));
+    logger.info(`Fetching plants of ${scope.name} ${scope.id} (${options.enrichment ? 'enriched' : 'paginated'})...`);
+    logger.info(`Output format: ${options.format}`);
+    logger.info('='.repeat(60));
+
+    await crawlListPages(api, {
+      ...getPlantCrawlSettings(api, options),
+      methodName: scope.methodName,
+      args: [scope.id],
+      dir: path.join(scope.dir, directoryName(scope.id))
+    }, options);
+  }
+}
+
+/**
+ * Page through the results of a search query, up to --search-pages pages
+ * (every page with --search-all).
+ *
+ * @param {TrefleAPI} api - Initialized TrefleAPI instance
+ * @param {string} methodName - Search method ('searchPlants' or 'searchSpecies')
+ * @param {string} query - Search query
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<Object>} Object with 'records', 'total' (results available, null if unknown),
+ *                            'pages' and 'error' (the error that stopped the search, or null)
+ */
+async function collectSearchResults(api, methodName, query, options) {
+  const records = [];
+  let total = null;
+  let pages = 0;
+
+  try {
+    for await (const page of api.paginate(methodName, query, { ...options.query, maxPages: options.searchPages })) {
+      records.push(...page.data);
+      total = page.meta?.total ?? total;
+      pages++;
+      logger.info(`✓ Fetched page ${page.page} (${records.length}/${total ?? 'unknown'} results)`);
+    }
+  } catch (error) {
+    return { records, total, pages, error };
+  }
+
+  return { records, total, pages, error: null };
+}
+
+/**
+ * Describe how many result pages each search fetches.
+ *
+ * @param {Object} options - Parsed command-line options
+ * @returns {string} Description such as 'first 3 pages' or 'all pages'
+ */
+function describeSearchPages(options) {
+  if (options.searchPages === null) {
+    return 'all pages';
+  }
+  return options.searchPages === 1 ? 'first page' : `first ${options.searchPages} pages`;
+}
+
+/**
+ * Describe how many of the available search results were saved.
+ *
+ * @param {number} saved - Results saved
+ * @param {number|null} total - Results available (null if unknown)
+ * @returns {string} Description such as '40 of 123 results'
+ */
+function describeSearchCoverage(saved, total) {
+  return `${saved} of ${total ?? 'unknown'} results`;
+}
+
+/**
+ * Save search results, with a metadata file recording how many results were available versus saved.
+ *
+ * The metadata is written as JSON next to the results (e.g. rose_results.meta.json),
+ * since CSV output has no room for it.
+ *
+ * @param {Array<Object>} records - Results to save
+ * @param {Object} search - Search details
+ * @param {string} search.dir - Output directory
+ * @param {string} search.basename - File name without extension
+ * @param {string} search.query - Search query
+ * @param {number|null} search.total - Results available (null if unknown)
+ * @param {number} search.pages - Result pages fetched
+ * @param {Error} search.error - Error that stopped the search, or null
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<string>} Path of the results file
+ */
+async function saveSearchResults(records, { dir, basename, query, total, pages, error }, options) {
+  const filepath = path.join(dir, `${basename}${getFileExtension(options.format)}`);
+  await writeToFile(records, filepath, options.format);
+  await writeToFile({
+    query,
+    available: total,
+    saved: records.length,
+    pages,
+    error: error ? error.message : null,
+    savedAt: new Date().toISOString()
+  }, path.join(dir, `${basename}.meta.json`), 'json');
+  return filepath;
 }
 
 /**
@@ -307,6 +506,7 @@ async function fetchSearchQueries(api, options) {
   const searchDir = path.join(BASE_DATA_DIR, 'trefle/search');
   const fileExt = getFileExtension(options.format);
   const enrichedSuffix = options.enrichment ? '_enriched' : '';
+  const querySuffix = getQuerySuffix(options);
 
   logger.info('='.repeat(60));
   logger.info(`Executing search queries (${options.enrichment ? 'enriched' : 'basic'})...`);
@@ -319,40 +519,36 @@ async function fetchSearchQueries(api, options) {
   for (const query of options.search) {
     logger.info(`Searching for: '${query}'`);
 
+    // Sanitize query for filename
+    const safeQuery = query.replace(/\s+/g, '_').replace(/\//g, '_');
     if (options.dryRun) {
-      const safeQuery = query.replace(/\s+/g, '_').replace(/\//g, '_');
-      logger.info(`[DRY RUN] Would search for '${query}'`);
+      logger.info(`[DRY RUN] Would search for '${query}' (${describeSearchPages(options)})`);
       if (options.enrichment) {
         logger.info('[DRY RUN] Would enrich search results');
       }
-      logger.info(`[DRY RUN] Would save to: datasets/trefle/search/${safeQuery}_results${enrichedSuffix}${fileExt}`);
+      logger.info(`[DRY RUN] Would save to: datasets/trefle/search/${safeQuery}_results${querySuffix}${enrichedSuffix}${fileExt}`);
     } else {
       try {
-        // Execute search
-        const result = await api.searchPlants(query, { page: 1 });
+        // Execute search, keeping the pages fetched before any error
+        const { records, total, pages, error } = await collectSearchResults(api, 'searchPlants', query, options);
+        if (error) {
+          logger.error(`✗ Error searching for '${query}' after ${pages} page(s): ${error.message}`);
+        }
 
         // Process results
-        if (result.data && result.data.length > 0) {
-          const searchResults = result.data;
-          const count = searchResults.length;
-          const total = result.meta?.total || 'unknown';
-          logger.info(`✓ Found ${count} results (page 1 of ${total} total)`);
-
-          let dataToSave;
-          if (options.enrichment) {
-            // Enrich search results
-            const enrichedResults = await enrichPlantData(api, searchResults, options.dryRun);
-            dataToSave = enrichedResults;
-          } else {
-            dataToSave = searchResults;
-          }
-
-          // Save to file (sanitize query for filename)
-          const safeQuery = query.replace(/\s+/g, '_').replace(/\//g, '_');
-          const filepath = path.join(searchDir, `${safeQuery}_results${enrichedSuffix}${fileExt}`);
-          await writeToFile(dataToSave, filepath, options.format);
-          logger.info(`  Saved to ${filepath}`);
-        } else {
+        if (records.length > 0) {
+          const dataToSave = options.enrichment ? await enrichPlantData(api, records) : records;
+
+          const filepath = await saveSearchResults(dataToSave, {
+            dir: searchDir,
+            basename: `${safeQuery}_results${querySuffix}${enrichedSuffix}`,
+            query,
+            total,
+            pages,
+            error
+          }, options);
+          logger.info(`  Saved ${describeSearchCoverage(dataToSave.length, total)} to ${filepath}`);
+        } else if (!error) {
           logger.warn('No results found');
         }
 
@@ -392,55 +588,58 @@ async function fetchPlantsById(api, options) {
   logger.info(`Output format: ${options.format}`);
   logger.info('='.repeat(60));
 
-  for (const plantId of options.plantId) {
-    logger.info(`Fetching plant ID: ${plantId}`);
-
-    if (options.dryRun) {
+  if (options.dryRun) {
+    for (const plantId of options.plantId) {
       logger.info(`[DRY RUN] Would fetch plant ${plantId}`);
       if (options.enrichment) {
         logger.info('[DRY RUN] Would flatten plant data');
       }
       logger.info(`[DRY RUN] Would save to: datasets/trefle/plants_by_id/{slug}_${plantId}${enrichedSuffix}${fileExt}`);
-    } else {
-      try {
-        // Fetch the plant
-        const result = await api.getPlant(plantId);
-
-        // Process data
-        if (result.data) {
-          const plantData = result.data;
-          const commonName = plantData.common_name || 'N/A';
-          const scientificName = plantData.scientific_name || 'N/A';
-          const slug = plantData.slug || `plant_${plantId}`;
-          logger.info(`✓ Fetched: ${commonName} (${scientificName})`);
-
-          let dataToSave;
-          if (options.enrichment) {
-            // Flatten the detailed data
-            const flattenedData = flattenPlantData(plantData, result.data);
-            dataToSave = flattenedData;
-          } else {
-            dataToSave = result;
-          }
+    }
+    return;
+  }
 
-          // Save to file using slug_id format
-          const filepath = path.join(plantsDir, `${slug}_${plantId}${enrichedSuffix}${fileExt}`);
-          await writeToFile(dataToSave, filepath, options.format);
-          logger.info(`  Saved to ${filepath}`);
-        } else {
-          logger.warn(`No data returned for plant ID ${plantId}`);
-        }
+  // Fetch all plants concurrently (within the rate limit), then save in input order
+  const results = await api.getPlantsByIds(options.plantId, { concurrency: options.concurrency });
 
-        // Rate limiting pause
-        await pause(randomNumber(2, 5));
+  for (const { id: plantId, ok, response: result, error } of results) {
+    if (!ok) {
+      logger.error(`✗ Error fetching plant ${plantId}: ${error.message}`);
+      continue;
+    }
 
-      } catch (error) {
-        logger.error(`✗ Error fetching plant ${plantId}: ${error.message}`);
+    if (!result.data) {
+      logger.warn(`No data returned for plant ID ${plantId}`);
+      continue;
+    }
+
+    try {
+      const plantData = result.data;
+      const commonName = plantData.common_name || 'N/A';
+      const scientificName = plantData.scientific_name || 'N/A';
+      const slug = plantData.slug || `plant_${plantId}`;
+      logger.info(`✓ Fetched: ${commonName} (${scientificName})`);
+
+      let dataToSave;
+      if (options.enrichment) {
+        // Flatten the detailed data
+        const flattenedData = flattenPlantData(plantData, result.data);
+        dataToSave = flattenedData;
+      } else {
+        dataToSave = result;
       }
+
+      // Save to file using slug_id format
+      const filepath = path.join(plantsDir, `${slug}_${plantId}${enrichedSuffix}${fileExt}`);
+      await writeToFile(dataToSave, filepath, options.format);
+      logger.info(`  Saved to ${filepath}`);
+    } catch (error) {
+      logger.error(`✗ Error saving plant ${plantId}: ${error.message}`);
     }
   }
 
-  logger.info(`Completed: Fetched ${options.plantId.length} plant(s) by ID`);
+  const fetched = results.filter(result => result.ok).length;
+  logger.info(`Completed: Fetched ${fetched}/${options.plantId.length} plant(s) by ID`);
 }
 
 /**
@@ -470,19 +669,12 @@ async function fetchTaxonomy(api, options) {
       logger.info(`Fetching ${endpoint.flag}...`);
       logger.info('='.repeat(60));
 
-      if (options.dryRun) {
-        logger.info(`[DRY RUN] Would fetch ${endpoint.flag}`);
-      } else {
-        try {
-          const result = await api[endpoint.method]({ page: 1 });
-          const filepath = path.join(taxonomyDir, `${endpoint.flag}${fileExt}`);
-          await writeToFile(result.data || result, filepath, options.format);
-          logger.info(`✓ Saved ${endpoint.flag} to ${filepath}`);
-        } catch (error) {
-          logger.error(`✗ Error fetching ${endpoint.flag}: ${error.message}`);
-        }
-        await pause(randomNumber(2, 5));
-      }
+      await crawlListPages(api, {
+        label: endpoint.flag,
+        methodName: endpoint.method,
+        dir: 'trefle/taxonomy',
+        fileName: endpoint.flag
+      }, options);
     }
 
     // Handle single item endpoints
@@ -518,6 +710,7 @@ async function fetchTaxonomy(api, options) {
 async function fetchSpecies(api, options) {
   const speciesDir = path.join(BASE_DATA_DIR, 'trefle/species');
   const fileExt = getFileExtension(options.format);
+  const querySuffix = getQuerySuffix(options);
 
   // List species
   if (options.species) {
@@ -525,19 +718,14 @@ async function fetchSpecies(api, options) {
     logger.info('Fetching species list...');
     logger.info('='.repeat(60));
 
-    if (options.dryRun) {
-      logger.info('[DRY RUN] Would fetch species list');
-    } else {
-      try {
-        const result = await api.getSpeciesList({ page: 1 });
-        const filepath = path.join(speciesDir, `species_list${fileExt}`);
-        await writeToFile(result.data || result, filepath, options.format);
-        logger.info(`✓ Saved species list to ${filepath}`);
-      } catch (error) {
-        logger.error(`✗ Error fetching species: ${error.message}`);
-      }
-      await pause(randomNumber(2, 5));
-    }
+    await crawlListPages(api, {
+      label: 'species',
+      methodName: 'getSpeciesList',
+      params: options.query,
+      dir: 'trefle/species',
+      fileName: 'species',
+      fileSuffix: querySuffix
+    }, options);
   }
 
   // Single species
@@ -571,15 +759,30 @@ async function fetchSpecies(api, options) {
       logger.info(`Searching species for: '${query}'`);
       logger.info('='.repeat(60));
 
+      const safeQuery = query.replace(/\s+/g, '_').replace(/\//g, '_');
       if (options.dryRun) {
-        logger.info(`[DRY RUN] Would search species for '${query}'`);
+        logger.info(`[DRY RUN] Would search species for '${query}' (${describeSearchPages(options)})`);
+        logger.info(`[DRY RUN] Would save to: datasets/trefle/species/search/${safeQuery}_results${querySuffix}${fileExt}`);
       } else {
         try {
-          const result = await api.searchSpecies(query, { page: 1 });
-          const safeQuery = query.replace(/\s+/g, '_').replace(/\//g, '_');
-          const filepath = path.join(searchDir, `${safeQuery}_results${fileExt}`);
-          await writeToFile(result.data || result, filepath, options.format);
-          logger.info(`✓ Saved species search results to ${filepath}`);
+          const { records, total, pages, error } = await collectSearchResults(api, 'searchSpecies', query, options);
+          if (error) {
+            logger.error(`✗ Error searching species for '${query}' after ${pages} page(s): ${error.message}`);
+          }
+
+          if (records.length > 0) {
+            const filepath = await saveSearchResults(records, {
+              dir: searchDir,
+              basename: `${safeQuery}_results${querySuffix}`,
+              query,
+              total,
+              pages,
+              error
+            }, options);
+            logger.info(`✓ Saved ${describeSearchCoverage(records.length, total)} to ${filepath}`);
+          } else if (!error) {
+            logger.warn('No results found');
+          }
         } catch (error) {
           logger.error(`✗ Error searching species for '${query}': ${error.message}`);
         }
@@ -606,19 +809,12 @@ async function fetchDistributionsAndCorrections(api, options) {
     logger.info('Fetching distribution zones...');
     logger.info('='.repeat(60));
 
-    if (options.dryRun) {
-      logger.info('[DRY RUN] Would fetch distribution zones');
-    } else {
-      try {
-        const result = await api.getDistributions({ page: 1 });
-        const filepath = path.join(distribDir, `zones${fileExt}`);
-        await writeToFile(result.data || result, filepath, options.format);
-        logger.info(`✓ Saved zones to ${filepath}`);
-      } catch (error) {
-        logger.error(`✗ Error fetching zones: ${error.message}`);
-      }
-      await pause(randomNumber(2, 5));
-    }
+    await crawlListPages(api, {
+      label: 'zones',
+      methodName: 'getDistributions',
+      dir: 'trefle/distributions',
+      fileName: 'zones'
+    }, options);
   }
 
   // Single distribution
@@ -649,19 +845,12 @@ async function fetchDistributionsAndCorrections(api, options) {
     logger.info('Fetching corrections...');
     logger.info('='.repeat(60));
 
-    if (options.dryRun) {
-      logger.info('[DRY RUN] Would fetch corrections');
-    } else {
-      try {
-        const result = await api.getCorrections({ page: 1 });
-        const filepath = path.join(correctionsDir, `corrections${fileExt}`);
-        await writeToFile(result.data || result, filepath, options.format);
-        logger.info(`✓ Saved corrections to ${filepath}`);
-      } catch (error) {
-        logger.error(`✗ Error fetching corrections: ${error.message}`);
-      }
-      await pause(randomNumber(2, 5));
-    }
+    await crawlListPages(api, {
+      label: 'corrections',
+      methodName: 'getCorrections',
+      dir: 'trefle/corrections',
+      fileName: 'corrections'
+    }, options);
   }
 
   // Single correction
@@ -685,6 +874,112 @@ async function fetchDistributionsAndCorrections(api, options) {
       await pause(randomNumber(2, 5));
     }
   }
+
+  // Corrections submitted for a species
+  if (options.correctionsForSpecies) {
+    const id = options.correctionsForSpecies;
+    logger.info('='.repeat(60));
+    logger.info(`Fetching corrections for species ${id}...`);
+    logger.info('='.repeat(60));
+
+    if (options.dryRun) {
+      logger.info(`[DRY RUN] Would fetch corrections for species ${id}`);
+      logger.info(`[DRY RUN] Would save to: datasets/trefle/corrections/species_${id}${fileExt}`);
+    } else {
+      try {
+        const result = await api.getCorrectionsForSpecies(id);
+        const filepath = path.join(correctionsDir, `species_${id}${fileExt}`);
+        await writeToFile(result.data || result, filepath, options.format);
+        logger.info(`✓ Saved corrections for species ${id} to ${filepath}`);
+      } catch (error) {
+        logger.error(`✗ Error fetching corrections for species ${id}: ${error.message}`);
+      }
+      await pause(randomNumber(2, 5));
+    }
+  }
+}
+
+/**
+ * Ask a yes/no question on the terminal.
+ *
+ * @param {string} question - Question to show
+ * @returns {Promise<boolean>} True if the answer starts with 'y'; false without an interactive terminal
+ */
+async function confirm(question) {
+  if (!process.stdin.isTTY) {
+    return false;
+  }
+
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await prompt.question(question);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    prompt.close();
+  }
+}
+
+/**
+ * Submit the --report-plant, --report-species and --report-csv corrections
+ * after confirmation, recording each attempt in the ledger.
+ *
+ * Corrections the ledger already records as submitted are skipped.
+ *
+ * @param {TrefleAPI} api - Initialized TrefleAPI instance
+ * @param {Object} options - Parsed command-line options
+ */
+async function submitCorrectionReports(api, options) {
+  if (options.submissions.length === 0) {
+    return;
+  }
+
+  logger.info('='.repeat(60));
+  logger.info('Submitting corrections...');
+  logger.info(`Ledger: ${options.ledger}`);
+  logger.info('='.repeat(60));
+
+  const ledger = new CorrectionLedger({ filepath: options.ledger });
+  const pending = await ledger.filterUnsubmitted(options.submissions);
+  const skipped = options.submissions.length - pending.length;
+  if (skipped > 0) {
+    logger.info(`Skipping ${skipped} correction(s) already recorded as submitted in the ledger`);
+  }
+  if (pending.length === 0) {
+    logger.info('Nothing to submit');
+    return;
+  }
+
+  for (const { type, id, notes } of pending) {
+    logger.info(`  ${type} ${id}: ${notes}`);
+  }
+
+  if (options.dryRun) {
+    logger.info(`[DRY RUN] Would submit ${pending.length} correction(s) and record them in ${options.ledger}`);
+    return;
+  }
+
+  if (!options.yes) {
+    const confirmed = await confirm(`Submit ${pending.length} correction(s) to Trefle? [y/N] `);
+    if (!confirmed) {
+      logger.warn(process.stdin.isTTY
+        ? 'Submission cancelled'
+        : 'Submission cancelled: no terminal to confirm on (pass --yes to submit without prompting)');
+      return;
+    }
+  }
+
+  const { submitted, failed } = await submitCorrections(api, pending, {
+    ledger,
+    onResult: entry => {
+      if (entry.status === 'submitted') {
+        logger.info(`✓ Submitted ${entry.type} ${entry.id} correction (correction ID: ${entry.correctionId ?? 'unknown'})`);
+      } else {
+        logger.error(`✗ Error submitting ${entry.type} ${entry.id} correction: ${entry.error}`);
+      }
+    }
+  });
+
+  logger.info(`Completed: Submitted ${submitted.length}/${pending.length} correction(s), ${failed.length} failed`);
 }
 
 /**
@@ -709,9 +1004,13 @@ async function main() {
     .option('--plants', 'Fetch plants (use --pages to limit)')
     .option('--plants-combined', 'Fetch plants with full details combined (batched in 5-page files)')
     .option('--search <queries...>', 'Search plants by query (can specify multiple)')
+    .option('--search-pages <number>', 'Result pages to fetch per search query (default: 1)', parsePositiveInt)
+    .option('--search-all', 'Fetch every result page of each search query')
     .option('--plant-id <ids...>', 'Fetch specific plant by ID (can specify multiple)', (val, prev) => {
       return [...(prev || []), parseInt(val)];
-    });
+    })
+    .option('--zone-plants <zones...>', 'Fetch all plants of distribution zones by ID or slug (can specify multiple)')
+    .option('--genus-plants <ids...>', 'Fetch all plants of genera by ID or slug (can specify multiple)');
 
   // Individual endpoint flags - Taxonomy
   program
@@ -728,11 +1027,12 @@ async function main() {
     .option('--families', 'Fetch all families (use --pages to limit)')
     .option('--family <id>', 'Fetch specific family by ID or slug')
     .option('--genera', 'Fetch all genera (use --pages to limit)')
+    .option('--genus-list', 'Fetch the complete genus list as a compact id/slug/name/family table')
     .option('--genus <id>', 'Fetch specific genus by ID or slug');
 
   // Individual endpoint flags - Species
   program
-    .option('--species', 'Fetch species list (use --pages to limit)')
+    .option('--species', 'Fetch all species (use --pages to limit)')
     .option('--species-id <id>', 'Fetch specific species by ID or slug')
     .option('--search-species <queries...>', 'Search species by query (can specify multiple)');
 
@@ -741,36 +1041,103 @@ async function main() {
     .option('--zones', 'Fetch all distribution zones')
     .option('--zone <id>', 'Fetch specific distribution zone by ID or slug')
     .option('--corrections', 'Fetch all corrections')
-    .option('--correction <id>', 'Fetch specific correction by ID');
+    .option('--correction <id>', 'Fetch specific correction by ID')
+    .option('--corrections-for-species <id>', 'Fetch the corrections submitted for a species');
+
+  // Correction submission flags
+  program
+    .option('--report-plant <id>', 'Submit a correction for a plant (requires --notes)')
+    .option('--report-species <id>', 'Submit a correction for a species (requires --notes)')
+    .option('--notes <text>', 'Correction notes for --report-plant / --report-species')
+    .option('--report-csv <file>', 'Submit corrections from a CSV with id and notes columns (optional type: plant or species)')
+    .option('--ledger <file>', 'JSON Lines file recording submitted corrections', DEFAULT_LEDGER_FILE)
+    .option('--yes', 'Submit corrections without asking for confirmation');
+
+  // Query flags (apply to --plants, --zone-plants, --genus-plants, --species, --search and --search-species)
+  program
+    .option('--filter <filters...>', 'Keep records whose field matches, e.g. edible=true or flower_color=red,white (can specify multiple)')
+    .option('--filter-not <filters...>', 'Leave out records whose field matches, e.g. toxicity=high; a bare field leaves out records without a value')
+    .option('--range <ranges...>', 'Keep records whose numeric field is within bounds, e.g. maximum_height=100,500')
+    .option('--order <fields...>', 'Sort by fields, e.g. common_name or year:desc (can specify multiple)');
 
   // Pagination/range flags
   program
-    .option('--pages <number>', 'Number of pages to fetch (default: all pages)', parseInt)
-    .option('--start-page <number>', 'Starting page number (default: 1)', parseInt, 1);
+    .option('--pages <number>', 'Number of pages to fetch per list (default: all pages)', parseInt)
+    .option('--start-page <number>', 'Starting page number for list fetches (default: 1)', value => parseInt(value, 10), 1);
 
   // Other options
   program
     .option('--enrichment', 'Enrich plant data by fetching full details for each plant')
     .option('--format <format>', 'Output file format: json (default), csv, or json.gz (compressed)', 'json')
     .option('--dry-run', 'Preview operations without fetching data')
-    .option('--log-level <level>', 'Set logging level (DEBUG, INFO, WARNING, ERROR)', 'INFO');
+    .option('--base-url <url>', 'API base URL, e.g. a staging mirror (default: https://trefle.io/api/v1)')
+    .option('--timeout <ms>', 'Request timeout in milliseconds (default: 30000)', parsePositiveInt)
+    .option('--concurrency <number>', 'Maximum requests in flight for --plant-id lookups', parsePositiveInt, 5)
+    .option('--cache-dir <dir>', 'Directory for cached API responses', DEFAULT_CACHE_DIR)
+    .option('--no-cache', 'Disable the response cache (always fetch fresh data)')
+    .option('--validate <mode>', 'Check responses against their schemas: off (default), report or strict', 'off')
+    .option('--middleware <modules...>', 'ES modules whose default export is request middleware (can specify multiple)')
+    .option('--log-level <level>', 'Set logging level (DEBUG, INFO, WARNING, ERROR)', 'INFO')
+    .option('--log-format <format>', 'Log output format: text (default) or json', 'text')
+    .option('--log-file <path>', 'Also append log output to a file');
 
   program.parse();
 
   const options = program.opts();
 
-  // Set logging level
-  setLogLevel(options.logLevel);
+  // Configure logging (the API client logs through the same logger)
+  try {
+    configureLogging({ level: options.logLevel, format: options.logFormat, file: options.logFile });
+  } catch (error) {
+    program.error(`error: ${error.message}`);
+  }
+
+  // Validate query flags before any request is sent
+  try {
+    options.query = parseQueryFlags({
+      filter: options.filter,
+      filterNot: options.filterNot,
+      range: options.range,
+      order: options.order
+    });
+  } catch (error) {
+    program.error(`error: ${error.message}`);
+  }
+
+  // Pages per search query: --search-all overrides --search-pages
+  options.searchPages = options.searchAll ? null : options.searchPages ?? 1;
+
+  // Validate corrections before anything is sent
+  try {
+    if ((options.reportPlant || options.reportSpecies) && !options.notes) {
+      throw new Error('--report-plant and --report-species require --notes');
+    }
+    if (options.notes && !options.reportPlant && !options.reportSpecies) {
+      throw new Error('--notes requires --report-plant or --report-species');
+    }
+    if (options.reportPlant && options.reportSpecies) {
+      throw new Error('--report-plant and --report-species cannot be combined (--notes applies to one record)');
+    }
+
+    options.submissions = [
+      ...(options.reportPlant ? [createSubmission('plant', options.reportPlant, options.notes)] : []),
+      ...(options.reportSpecies ? [createSubmission('species', options.reportSpecies, options.notes)] : []),
+      ...(options.reportCsv ? await readCorrectionsCsv(options.reportCsv) : [])
+    ];
+  } catch (error) {
+    program.error(`error: ${error.message}`);
+  }
 
   // If no flags specified, show help
   const hasAnyOption = options.all || options.allSingle || options.allPlants ||
       options.zones || options.zone || options.plants || options.plantsCombined ||
-      options.search || options.plantId || options.kingdoms || options.kingdom ||
+      options.search || options.plantId || options.zonePlants || options.genusPlants || options.kingdoms || options.kingdom ||
       options.subkingdoms || options.subkingdom || options.divisions || options.division ||
       options.divisionClasses || options.divisionClass || options.divisionOrders ||
       options.divisionOrder || options.families || options.family || options.genera ||
-      options.genus || options.species || options.speciesId || options.searchSpecies ||
-      options.corrections || options.correction;
+      options.genus || options.genusList || options.species || options.speciesId || options.searchSpecies ||
+      options.corrections || options.correction || options.correctionsForSpecies ||
+      options.reportPlant || options.reportSpecies || options.reportCsv;
 
   if (!hasAnyOption) {
     program.help();
@@ -797,30 +1164,74 @@ async function main() {
     options.enrichment = true;
   }
 
+  const hasQueryTarget = options.plants || options.zonePlants || options.genusPlants ||
+      options.species || options.search || options.searchSpecies;
+  if (Object.keys(options.query).length > 0 && !hasQueryTarget) {
+    logger.warn('--filter, --filter-not, --range and --order only apply to --plants, --zone-plants, --genus-plants, --species, --search and --search-species');
+  }
+
   // Print configuration
   logger.info('='.repeat(60));
   logger.info('TREFLE API DATA FETCHER');
   logger.info('='.repeat(60));
   logger.info(`Dry run: ${options.dryRun || false}`);
   logger.info(`Log level: ${options.logLevel}`);
+  if (options.logFile) {
+    logger.info(`Log file: ${options.logFile} (${options.logFormat})`);
+  }
+  logger.info(`Cache: ${options.cache ? options.cacheDir : 'disabled'}`);
+  if (options.baseUrl) {
+    logger.info(`Base URL: ${options.baseUrl}`);
+  }
+  if (options.timeout !== undefined) {
+    logger.info(`Timeout: ${options.timeout}ms`);
+  }
+  if (options.validate !== 'off') {
+    logger.info(`Schema validation: ${options.validate}`);
+  }
+  if (options.middleware) {
+    logger.info(`Middleware: ${options.middleware.join(', ')}`);
+  }
   if (options.pages) {
     logger.info(`Page limit: ${options.pages}`);
   }
   if (options.startPage !== 1) {
     logger.info(`Starting page: ${options.startPage}`);
   }
+  if (Object.keys(options.query).length > 0) {
+    logger.info(`Query: ${describeQuery(options.query)}`);
+  }
+  if ((options.search || options.searchSpecies) && options.searchPages !== 1) {
+    logger.info(`Search results: ${describeSearchPages(options)} per query`);
+  }
   logger.info('');
 
   try {
     // Initialize API
     logger.info('Initializing Trefle API...');
-    const api = new TrefleAPI({ logLevel: options.logLevel });
+    const middleware = [];
+    for (const modulePath of options.middleware || []) {
+      middleware.push(...await loadMiddleware(modulePath));
+    }
+
+    const api = new TrefleAPI({
+      logger,
+      cache: options.cache ? { store: new FileCache({ directory: options.cacheDir }) } : null,
+      middleware,
+      validation: options.validate,
+      ...(options.baseUrl && { baseUrl: options.baseUrl }),
+      ...(options.timeout !== undefined && { timeout: options.timeout })
+    });
     logger.info('✓ API initialized successfully');
     logger.info('');
 
+    // Submit corrections first, so the confirmation prompt is not buried in fetch output
+    await submitCorrectionReports(api, options);
+
     // Execute fetches based on flags
     await fetchSingleEndpoints(api, options);
     await fetchPlants(api, options);
+    await fetchScopedPlants(api, options);
     await fetchSearchQueries(api, options);
     await fetchPlantsById(api, options);
     await fetchTaxonomy(api, options);
@@ -833,6 +1244,29 @@ async function main() {
     logger.info('='.repeat(60));
     logger.info(`Data directory: ${path.resolve(BASE_DATA_DIR)}`);
 
+    const { totals } = api.getMetrics();
+    if (totals.requests > 0) {
+      logger.info(
+        `Requests: ${totals.requests} sent, ${totals.retries} retried, ${totals.errors} failed ` +
+        `(p90 latency ${totals.latency.p90}ms)`
+      );
+    }
+
+    const drift = api.getSchemaDrift();
+    if (drift && drift.invalid > 0) {
+      logger.warn(`Schema drift: ${drift.invalid} of ${drift.validated} response(s) did not match their schema`);
+      for (const [route, fields] of Object.entries(drift.fields)) {
+        for (const [field, { expected, received, count }] of Object.entries(fields)) {
+          logger.warn(`  ${route} ${field}: expected ${expected}, received ${Object.keys(received).join('/')} (${count}x)`);
+        }
+      }
+    }
+
+    const cacheStats = api.getCacheStats();
+    if (cacheStats) {
+      logger.info(`Cache: ${cacheStats.hits} hit(s), ${cacheStats.misses} miss(es), ${cacheStats.writes} write(s)`);
+    }
+
     if (!options.dryRun) {
       logger.info('\nData has been saved to local files.');
       logger.info('Check the datasets/ directory for fetched data.');
@@ -843,6 +1277,7 @@ async function main() {
       logger.warn('\n\nExecution interrupted by user (Ctrl+C)');
       process.exit(1);
     } else {
+      redactError(error);
       logger.error(`\n\nFatal error: ${error.message}`);
       if (options.logLevel === 'DEBUG') {
         console.error(error.stack);
@@ -0,0 +1,46 @@
+/**
+ * Trefle Client Tokens
+ */
+
+export const DEFAULT_REFRESH_MARGIN: number;
+export const DEFAULT_CLIENT_TOKEN_TTL: number;
+
+/**
+ * Response of the client token claim endpoint.
+ */
+export interface ClientTokenClaim {
+  /** JWT bound to the claimed origin */
+  token: string;
+  /** Expiry, e.g. '01-12-2020 19:14' (MM-DD-YYYY HH:mm, UTC) */
+  expiration?: string;
+}
+
+export interface ClientTokenStatus {
+  /** A JWT is held and is not within the refresh margin of its expiry */
+  valid: boolean;
+  /** ISO timestamp of the current JWT's expiry (null if none) */
+  expiresAt: string | null;
+  /** JWTs claimed so far */
+  claims: number;
+}
+
+export function decodeJwtExpiry(jwt: string | null | undefined): number | null;
+export function parseExpiration(expiration: string | null | undefined): number | null;
+
+/**
+ * Holds a claimed JWT and claims a new one before it expires.
+ */
+export class ClientTokenManager {
+  constructor(options: { claim: () => Promise<ClientTokenClaim>; refreshMargin?: number });
+  refreshMargin: number;
+  token: string | null;
+  /** Expiry of the current JWT as a timestamp in ms */
+  expiresAt: number | null;
+  /** Time after which get() claims a new JWT, as a timestamp in ms */
+  refreshAt: number | null;
+  claims: number;
+  isValid(): boolean;
+  get(): Promise<string>;
+  invalidate(): void;
+  getStatus(): ClientTokenStatus;
+}
@@ -0,0 +1,193 @@
+/**
+ * Trefle Client Tokens
+ *
+ * Trefle can exchange the secret API token for a short-lived JWT bound to a
+ * website origin (POST /api/auth/claim), so front-ends never ship the secret.
+ * ClientTokenManager holds the current JWT for a TrefleAPI instance and claims
+ * a new one shortly before it expires.
+ *
+ * The expiry is read from the JWT 'exp' claim, falling back to the
+ * 'expiration' field of the claim response. A JWT is always kept for at least
+ * half of its lifetime, even if refreshMargin is longer.
+ *
+ * @example
+ * const manager = new ClientTokenManager({
+ *   claim: () => api.claimClientToken({ origin: 'https://example.com' })
+ * });
+ * const jwt = await manager.get();
+ */
+
+import { registerSecret, unregisterSecret } from './redact.js';
+
+// Claim a new JWT this long (ms) before the current one expires
+export const DEFAULT_REFRESH_MARGIN = 60000;
+
+// Lifetime (ms) assumed for a JWT whose expiry cannot be determined
+export const DEFAULT_CLIENT_TOKEN_TTL = 3600000;
+
+// Trefle 'expiration' format, e.g. '01-12-2020 19:14' (MM-DD-YYYY HH:mm, UTC)
+const EXPIRATION_PATTERN = /^(\d{2})-(\d{2})-(\d{4}) (\d{2}):(\d{2})$/;
+
+/**
+ * Read the expiry of a JWT from its 'exp' claim.
+ *
+ * The signature is not verified; the value is only used to schedule refreshes.
+ *
+ * @param {string} jwt - JSON Web Token
+ * @returns {number|null} Expiry as a timestamp in ms, or null if the token has no readable 'exp'
+ */
+export function decodeJwtExpiry(jwt) {
+  const payload = typeof jwt === 'string' ? jwt.split('.')[1] : null;
+  if (!payload) {
+    return null;
+  }
+
+  try {
+    // base64url to base64, padded to a multiple of 4 characters
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(payload.length / 4) * 4, '=');
+    const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    const { exp } = JSON.parse(new TextDecoder().decode(bytes));
+    return Number.isFinite(exp) ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse the 'expiration' field of a claim response.
+ *
+ * @param {string} expiration - Expiration as 'MM-DD-YYYY HH:mm' (UTC) or an ISO date
+ * @returns {number|null} Expiry as a timestamp in ms, or null if it cannot be parsed
+ */
+export function parseExpiration(expiration) {
+  if (typeof expiration !== 'string') {
+    return null;
+  }
+
+  const match = expiration.trim().match(EXPIRATION_PATTERN);
+  if (match) {
+    const [, month, day, year, hours, minutes] = match.map(Number);
+    return Date.UTC(year, month - 1, day, hours, minutes);
+  }
+
+  const timestamp = Date.parse(expiration);
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Holds a claimed JWT and claims a new one before it expires.
+ *
+ * Concurrent callers share one claim.
+ */
+export class ClientTokenManager {
+  /**
+   * Initialize ClientTokenManager instance.
+   *
+   * @param {Object} options - Configuration options
+   * @param {Function} options.claim - Async function returning a claim response
+   *                                   ({ token, expiration })
+   * @param {number} options.refreshMargin - Claim a new JWT this many ms before expiry (default: 60000);
+   *                                         capped at half the lifetime of each JWT
+   *
+   * @throws {Error} If claim is not a function or refreshMargin is negative
+   */
+  constructor({ claim, refreshMargin = DEFAULT_REFRESH_MARGIN } = {}) {
+    if (typeof claim !== 'function') {
+      throw new Error('claim must be a function returning { token, expiration }');
+    }
+    if (!(refreshMargin >= 0)) {
+      throw new Error(`refreshMargin must be a non-negative number, got ${refreshMargin}`);
+    }
+
+    this.claim = claim;
+    this.refreshMargin = refreshMargin;
+    this.token = null;
+    this.expiresAt = null;
+    this.refreshAt = null;
+    this.claims = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Check whether the current JWT can still be used.
+   *
+   * @returns {boolean} True if a JWT is held and is not within the refresh margin of its expiry
+   */
+  isValid() {
+    return this.token !== null && Date.now() < this.refreshAt;
+  }
+
+  /**
+   * Get a JWT, claiming a new one if there is none or it is about to expire.
+   *
+   * @returns {Promise<string>} JWT
+   *
+   * @throws {Error} If the claim fails or returns no token
+   */
+  async get() {
+    if (this.isValid()) {
+      return this.token;
+    }
+
+    if (!this.pending) {
+      this.pending = this._refresh().finally(() => {
+        this.pending = null;
+      });
+    }
+
+    return this.pending;
+  }
+
+  /**
+   * Claim a new JWT and store it.
+   *
+   * @returns {Promise<string>} JWT
+   * @private
+   */
+  async _refresh() {
+    const result = await this.claim();
+    const token = result?.token;
+    if (typeof token !== 'string' || token.length === 0) {
+      throw new Error('Client token claim did not return a token');
+    }
+
+    if (this.token !== null && this.token !== token) {
+      unregisterSecret(this.token);
+    }
+    registerSecret(token);
+
+    const now = Date.now();
+    this.token = token;
+    this.expiresAt = decodeJwtExpiry(token) ?? parseExpiration(result.expiration) ?? now + DEFAULT_CLIENT_TOKEN_TTL;
+    // A margin at or above the JWT lifetime would claim again on every call
+    this.refreshAt = Math.max(this.expiresAt - this.refreshMargin, now + (this.expiresAt - now) / 2);
+    this.claims++;
+    return token;
+  }
+
+  /**
+   * Drop the current JWT so the next get() claims a new one (e.g. after it was rejected).
+   */
+  invalidate() {
+    if (this.token !== null) {
+      unregisterSecret(this.token);
+    }
+    this.token = null;
+    this.expiresAt = null;
+    this.refreshAt = null;
+  }
+
+  /**
+   * Get the state of the current JWT.
+   *
+   * @returns {Object} Object with 'valid', 'expiresAt' (ISO timestamp or null) and 'claims'
+   *                   (JWTs claimed so far)
+   */
+  getStatus() {
+    return {
+      valid: this.isValid(),
+      expiresAt: this.expiresAt === null ? null : new Date(this.expiresAt).toISOString(),
+      claims: this.claims
+    };
+  }
+}
@@ -21,6 +21,9 @@ export const BASE_URL = 'https://trefle.io/api/v1';
 // Rate limit: 120 requests per minute
 export const RATE_LIMIT = 120;
 
+// Default HTTP request timeout in milliseconds
+export const DEFAULT_TIMEOUT = 30000;
+
 /**
  * Retrieve Trefle API token from environment variables.
  *
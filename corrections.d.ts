@@ -0,0 +1,58 @@
+/**
+ * Trefle Corrections
+ */
+
+import type { TrefleAPI } from './api.js';
+
+export type CorrectionTarget = 'plant' | 'species';
+
+export const CORRECTION_TARGETS: CorrectionTarget[];
+
+/**
+ * A correction to submit with reportPlant() or reportSpecies().
+ */
+export interface CorrectionSubmission {
+  type: CorrectionTarget;
+  /** Record ID (numeric IDs as numbers) or slug */
+  id: number | string;
+  notes: string;
+}
+
+/**
+ * One submission attempt recorded in the ledger.
+ */
+export interface CorrectionLedgerEntry extends CorrectionSubmission {
+  /** ISO timestamp of the attempt */
+  submittedAt: string;
+  status: 'submitted' | 'failed';
+  /** ID of the correction Trefle created (submitted entries) */
+  correctionId?: number | null;
+  /** HTTP status code of the failure (failed entries) */
+  statusCode?: number | null;
+  /** Error message (failed entries) */
+  error?: string;
+}
+
+export function createSubmission(type: string, id: number | string, notes: string): CorrectionSubmission;
+export function parseCorrectionRows(
+  rows: Array<Record<string, string | undefined>>,
+  options?: { defaultType?: CorrectionTarget }
+): CorrectionSubmission[];
+export function readCorrectionsCsv(filepath: string, options?: { defaultType?: CorrectionTarget }): Promise<CorrectionSubmission[]>;
+
+/**
+ * Append-only JSON Lines record of submitted corrections.
+ */
+export class CorrectionLedger {
+  constructor(options: { filepath: string });
+  filepath: string;
+  load(): Promise<CorrectionLedgerEntry[]>;
+  append(entry: CorrectionLedgerEntry): Promise<void>;
+  filterUnsubmitted<T extends CorrectionSubmission>(submissions: T[]): Promise<T[]>;
+}
+
+export function submitCorrections(
+  api: Pick<TrefleAPI, 'reportPlant' | 'reportSpecies'>,
+  submissions: CorrectionSubmission[],
+  options?: { ledger?: CorrectionLedger | null; onResult?: (entry: CorrectionLedgerEntry) => void }
+): Promise<{ submitted: CorrectionLedgerEntry[]; failed: CorrectionLedgerEntry[] }>;
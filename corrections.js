@@ -0,0 +1,230 @@
+/**
+ * Trefle Corrections
+ *
+ * Helpers for submitting corrections to plants and species in batches and
+ * keeping a local ledger of what was submitted. The ledger is a JSON Lines
+ * file with one entry per submission attempt, including the correction ID
+ * Trefle returned, so re-running a batch skips rows that were already accepted.
+ *
+ * @example
+ * const ledger = new CorrectionLedger({ filepath: 'datasets/trefle/corrections/ledger.jsonl' });
+ * const submissions = await ledger.filterUnsubmitted(await readCorrectionsCsv('corrections.csv'));
+ * const { submitted, failed } = await submitCorrections(api, submissions, { ledger });
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { readFromFile } from './utils.js';
+import { TrefleValidationError } from './errors.js';
+
+// Record types corrections can be submitted for
+export const CORRECTION_TARGETS = ['plant', 'species'];
+
+// API method that submits a correction for each record type
+const REPORT_METHODS = { plant: 'reportPlant', species: 'reportSpecies' };
+
+/**
+ * Check and normalize a correction submission.
+ *
+ * @param {string} type - Record type ('plant' or 'species')
+ * @param {number|string} id - Record ID or slug
+ * @param {string} notes - Correction notes
+ * @returns {Object} Submission with 'type', 'id' (numeric IDs as numbers) and trimmed 'notes'
+ *
+ * @throws {TrefleValidationError} If the type is unknown or the ID or notes are empty
+ */
+export function createSubmission(type, id, notes) {
+  const normalizedType = String(type ?? '').trim().toLowerCase();
+  if (!CORRECTION_TARGETS.includes(normalizedType)) {
+    throw new TrefleValidationError(`Invalid correction type '${type}'. Expected one of: ${CORRECTION_TARGETS.join(', ')}`);
+  }
+
+  const normalizedId = String(id ?? '').trim();
+  if (!normalizedId) {
+    throw new TrefleValidationError('Correction ID cannot be empty');
+  }
+
+  const normalizedNotes = String(notes ?? '').trim();
+  if (!normalizedNotes) {
+    throw new TrefleValidationError(`Notes cannot be empty (${normalizedType} ${normalizedId})`);
+  }
+
+  return {
+    type: normalizedType,
+    id: /^\d+$/.test(normalizedId) ? Number(normalizedId) : normalizedId,
+    notes: normalizedNotes
+  };
+}
+
+/**
+ * Convert CSV rows into submissions.
+ *
+ * Rows need 'id' and 'notes' values and may set 'type' ('plant' or
+ * 'species'); rows without a type use defaultType.
+ *
+ * @param {Array<Object>} rows - Rows keyed by CSV header
+ * @param {Object} options - Parse options
+ * @param {string} options.defaultType - Type for rows without one (default: 'plant')
+ * @returns {Array<Object>} Submissions (see createSubmission())
+ *
+ * @throws {TrefleValidationError} Listing every invalid row, numbered as CSV lines
+ */
+export function parseCorrectionRows(rows, { defaultType = 'plant' } = {}) {
+  const submissions = [];
+  const problems = [];
+
+  rows.forEach((row, index) => {
+    try {
+      submissions.push(createSubmission(row.type || defaultType, row.id, row.notes));
+    } catch (error) {
+      // Line 1 is the header
+      problems.push(`line ${index + 2}: ${error.message}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new TrefleValidationError(`Invalid correction rows: ${problems.join('; ')}`);
+  }
+
+  return submissions;
+}
+
+/**
+ * Read submissions from a CSV file with 'id' and 'notes' columns (and an optional 'type' column).
+ *
+ * @param {string} filepath - CSV file path
+ * @param {Object} options - Parse options (see parseCorrectionRows())
+ * @returns {Promise<Array<Object>>} Submissions
+ *
+ * @throws {TrefleValidationError} If the columns are missing or a row is invalid
+ */
+export async function readCorrectionsCsv(filepath, options = {}) {
+  const rows = await readFromFile(filepath, 'csv');
+  if (rows.length > 0 && !(Object.hasOwn(rows[0], 'id') && Object.hasOwn(rows[0], 'notes'))) {
+    throw new TrefleValidationError(`${filepath} needs 'id' and 'notes' columns`);
+  }
+
+  return parseCorrectionRows(rows, options);
+}
+
+/**
+ * Get the key identifying a submission in the ledger.
+ *
+ * @param {Object} submission - Submission or ledger entry
+ * @returns {string} Key built from type, ID and notes
+ * @private
+ */
+function submissionKey({ type, id, notes }) {
+  return JSON.stringify([type, String(id), notes]);
+}
+
+/**
+ * Append-only JSON Lines record of submitted corrections.
+ */
+export class CorrectionLedger {
+  /**
+   * Initialize CorrectionLedger instance.
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.filepath - Ledger file path (created on first append)
+   *
+   * @throws {Error} If filepath is not provided
+   */
+  constructor({ filepath } = {}) {
+    if (!filepath) {
+      throw new Error('Ledger filepath is required');
+    }
+    this.filepath = filepath;
+  }
+
+  /**
+   * Read every ledger entry.
+   *
+   * @returns {Promise<Array<Object>>} Entries in submission order (empty if the file does not exist)
+   *
+   * @throws {Error} If a line is not valid JSON
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.filepath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return content.split('\n').flatMap((line, index) => {
+      if (!line.trim()) {
+        return [];
+      }
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        throw new Error(`Invalid ledger entry at ${this.filepath}:${index + 1}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Append an entry.
+   *
+   * @param {Object} entry - Ledger entry
+   * @returns {Promise<void>}
+   */
+  async append(entry) {
+    await fs.mkdir(path.dirname(this.filepath), { recursive: true });
+    await fs.appendFile(this.filepath, `${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Leave out submissions the ledger records as already submitted.
+   *
+   * @param {Array<Object>} submissions - Submissions to check
+   * @returns {Promise<Array<Object>>} Submissions with no 'submitted' entry for the same type, ID and notes
+   */
+  async filterUnsubmitted(submissions) {
+    const submitted = new Set(
+      (await this.load()).filter(entry => entry.status === 'submitted').map(submissionKey)
+    );
+    return submissions.filter(submission => !submitted.has(submissionKey(submission)));
+  }
+}
+
+/**
+ * Submit corrections one at a time, recording each attempt in the ledger.
+ *
+ * A failed submission is recorded with its error and does not stop the batch.
+ *
+ * @param {TrefleAPI} api - API client
+ * @param {Array<Object>} submissions - Submissions (see createSubmission())
+ * @param {Object} options - Submission options
+ * @param {CorrectionLedger} options.ledger - Ledger to record attempts in (optional)
+ * @param {Function} options.onResult - Called with each ledger entry as it is recorded (optional)
+ * @returns {Promise<Object>} Object with 'submitted' and 'failed' ledger entries
+ */
+export async function submitCorrections(api, submissions, { ledger = null, onResult = null } = {}) {
+  const submitted = [];
+  const failed = [];
+
+  for (const { type, id, notes } of submissions) {
+    const entry = { submittedAt: new Date().toISOString(), type, id, notes };
+
+    try {
+      const result = await api[REPORT_METHODS[type]](id, notes);
+      Object.assign(entry, { status: 'submitted', correctionId: result?.data?.id ?? null });
+      submitted.push(entry);
+    } catch (error) {
+      Object.assign(entry, { status: 'failed', statusCode: error.statusCode ?? null, error: error.message });
+      failed.push(entry);
+    }
+
+    if (ledger) {
+      await ledger.append(entry);
+    }
+    onResult?.(entry);
+  }
+
+  return { submitted, failed };
+}
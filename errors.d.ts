@@ -0,0 +1,76 @@
+/**
+ * Trefle Error Types
+ */
+
+import type { SchemaIssue } from './schemas.js';
+
+export interface TrefleErrorDetails {
+  /** HTTP status code (null if no response) */
+  statusCode?: number | null;
+  /** API endpoint path */
+  endpoint?: string | null;
+  /** Request parameters with the token removed */
+  params?: Record<string, string> | null;
+  /** Error body returned by Trefle */
+  body?: unknown;
+  /** Underlying error */
+  cause?: unknown;
+}
+
+/**
+ * Base class for all errors thrown by TrefleAPI.
+ */
+export class TrefleError extends Error {
+  constructor(message: string, details?: TrefleErrorDetails);
+  statusCode: number | null;
+  endpoint: string | null;
+  params: Record<string, string> | null;
+  body: unknown;
+}
+
+/** Missing, invalid or unauthorized API token (HTTP 401/403). */
+export class TrefleAuthError extends TrefleError {}
+
+/** Requested record does not exist (HTTP 404). */
+export class TrefleNotFoundError extends TrefleError {}
+
+/** Rate limit exceeded (HTTP 429). */
+export class TrefleRateLimitError extends TrefleError {
+  constructor(message: string, details?: TrefleErrorDetails & { retryAfter?: number | null });
+  /** Delay in ms requested by the Retry-After header (null if absent) */
+  retryAfter: number | null;
+}
+
+/** Invalid arguments or request parameters (HTTP 400/422, or rejected before sending). */
+export class TrefleValidationError extends TrefleError {}
+
+/** Trefle server failure (HTTP 5xx). */
+export class TrefleServerError extends TrefleError {}
+
+/** Request failed without a response (connection refused, reset, timeout, etc.). */
+export class TrefleNetworkError extends TrefleError {}
+
+/** Request cancelled through its AbortSignal. */
+export class TrefleAbortError extends TrefleError {}
+
+/** Response does not match the expected schema (thrown in strict validation mode). */
+export class TrefleSchemaError extends TrefleError {
+  constructor(message: string, details?: TrefleErrorDetails & { schema?: string | null; issues?: SchemaIssue[] });
+  /** Name of the entity schema the response was checked against */
+  schema: string | null;
+  issues: SchemaIssue[];
+}
+
+export function isAbortError(error: unknown): boolean;
+
+export function createAbortError(
+  signal: AbortSignal,
+  details?: { endpoint?: string | null; params?: Record<string, unknown> | null }
+): TrefleAbortError;
+
+export function sanitizeParams(params: Record<string, unknown> | null | undefined): Record<string, unknown> | null;
+
+export function createTrefleError(
+  error: unknown,
+  details?: { endpoint?: string | null; params?: Record<string, unknown> | null }
+): TrefleError;
@@ -0,0 +1,209 @@
+/**
+ * Trefle API Errors
+ *
+ * Error classes thrown by TrefleAPI. Every error carries the HTTP status code
+ * (when there is one), the endpoint, the request parameters with the token
+ * removed, and the error body returned by Trefle, so callers can tell a bad
+ * token from a missing plant or a rate limit without inspecting axios errors.
+ *
+ * @example
+ * try {
+ *   await api.getPlant(999999);
+ * } catch (error) {
+ *   if (error instanceof TrefleNotFoundError) {
+ *     console.log(`No plant at ${error.endpoint}`);
+ *   }
+ * }
+ */
+
+import { parseRetryAfter } from './retry.js';
+import { redact, redactString, redactError } from './redact.js';
+
+/**
+ * Base class for all errors thrown by TrefleAPI.
+ */
+export class TrefleError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {number} details.statusCode - HTTP status code (null if no response)
+   * @param {string} details.endpoint - API endpoint path
+   * @param {Object} details.params - Request parameters with the token removed
+   * @param {any} details.body - Error body returned by Trefle
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, { statusCode = null, endpoint = null, params = null, body = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.endpoint = endpoint;
+    this.params = params;
+    this.body = body;
+  }
+}
+
+/**
+ * Missing, invalid or unauthorized API token (HTTP 401/403).
+ */
+export class TrefleAuthError extends TrefleError {}
+
+/**
+ * Requested record does not exist (HTTP 404).
+ */
+export class TrefleNotFoundError extends TrefleError {}
+
+/**
+ * Rate limit exceeded (HTTP 429).
+ */
+export class TrefleRateLimitError extends TrefleError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details (see TrefleError)
+   * @param {number} details.retryAfter - Delay in ms requested by the Retry-After header (null if absent)
+   */
+  constructor(message, { retryAfter = null, ...details } = {}) {
+    super(message, details);
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Invalid arguments or request parameters (HTTP 400/422, or rejected before sending).
+ */
+export class TrefleValidationError extends TrefleError {}
+
+/**
+ * Trefle server failure (HTTP 5xx).
+ */
+export class TrefleServerError extends TrefleError {}
+
+/**
+ * Request failed without a response (connection refused, reset, timeout, etc.).
+ */
+export class TrefleNetworkError extends TrefleError {}
+
+/**
+ * Request cancelled through its AbortSignal.
+ */
+export class TrefleAbortError extends TrefleError {}
+
+/**
+ * Response does not match the expected schema (thrown in strict validation mode).
+ */
+export class TrefleSchemaError extends TrefleError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details (see TrefleError)
+   * @param {string} details.schema - Name of the entity schema the response was checked against
+   * @param {Array<Object>} details.issues - Schema issues with 'path', 'expected', 'received' and 'count'
+   */
+  constructor(message, { schema = null, issues = [], ...details } = {}) {
+    super(message, details);
+    this.schema = schema;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Check whether an error was raised by cancelling a request.
+ *
+ * @param {Error} error - Error thrown by axios, fetch or an aborted wait
+ * @returns {boolean} True for axios cancellations and AbortErrors
+ */
+export function isAbortError(error) {
+  return Boolean(error) && (
+    error.code === 'ERR_CANCELED' ||
+    error.name === 'AbortError' ||
+    error.name === 'CanceledError'
+  );
+}
+
+/**
+ * Create the error thrown when a request is cancelled.
+ *
+ * @param {AbortSignal} signal - The aborted signal; its reason becomes the error cause
+ * @param {Object} context - Request context
+ * @param {string} context.endpoint - API endpoint path
+ * @param {Object} context.params - Request parameters (token is removed)
+ * @returns {TrefleAbortError} Cancellation error
+ */
+export function createAbortError(signal, { endpoint = null, params = null } = {}) {
+  return new TrefleAbortError(endpoint ? `Request to ${endpoint} was aborted` : 'Request was aborted', {
+    endpoint,
+    params: sanitizeParams(params),
+    cause: signal?.reason
+  });
+}
+
+/**
+ * Remove the API token from request parameters.
+ *
+ * @param {Object} params - Request parameters
+ * @returns {Object|null} Copy of params without the token
+ */
+export function sanitizeParams(params) {
+  if (!params || typeof params !== 'object') {
+    return null;
+  }
+
+  const sanitized = { ...params };
+  delete sanitized.token;
+  return sanitized;
+}
+
+/**
+ * Convert an error thrown by the HTTP client into a TrefleError.
+ *
+ * @param {Error} error - Error thrown by axios (or already a TrefleError)
+ * @param {Object} context - Request context
+ * @param {string} context.endpoint - API endpoint path
+ * @param {Object} context.params - Request parameters (token is removed)
+ * @returns {TrefleError} Classified error
+ */
+export function createTrefleError(error, { endpoint = null, params = null } = {}) {
+  if (error instanceof TrefleError) {
+    return error;
+  }
+
+  // The raw error can carry the token in its message, config and request path
+  redactError(error);
+
+  const response = error.response;
+  const details = {
+    endpoint,
+    params: sanitizeParams(params),
+    cause: error
+  };
+
+  if (isAbortError(error)) {
+    return new TrefleAbortError(error.message, details);
+  }
+
+  if (!response) {
+    return new TrefleNetworkError(error.message, details);
+  }
+
+  const statusCode = response.status;
+  const body = redact(response.data ?? null);
+  const message = redactString((body && typeof body === 'object' && body.message) || error.message);
+  Object.assign(details, { statusCode, body });
+
+  if (statusCode === 401 || statusCode === 403) {
+    return new TrefleAuthError(message, details);
+  }
+  if (statusCode === 404) {
+    return new TrefleNotFoundError(message, details);
+  }
+  if (statusCode === 429) {
+    const retryAfter = parseRetryAfter(response.headers?.['retry-after']);
+    return new TrefleRateLimitError(message, { ...details, retryAfter });
+  }
+  if (statusCode === 400 || statusCode === 422) {
+    return new TrefleValidationError(message, details);
+  }
+  if (statusCode >= 500) {
+    return new TrefleServerError(message, details);
+  }
+
+  return new TrefleError(message, details);
+}
@@ -0,0 +1,139 @@
+/**
+ * Trefle Logging
+ *
+ * Builds the winston loggers used by TrefleAPI, utils.js and the CLI. The
+ * 'text' format writes `timestamp - LEVEL - message` lines; the 'json' format
+ * writes one JSON object per line with the message and its structured fields
+ * (endpoint, page, status, duration, ...), ready for a log aggregator.
+ *
+ * All loggers redact the API token, including loggers supplied by the caller
+ * (see wrapLogger()).
+ *
+ * @example
+ * const logger = createLogger({ level: 'debug', format: 'json', file: 'trefle.log' });
+ * logger.info('Successfully fetched plants (page 1)', { endpoint: 'plants', page: 1 });
+ */
+
+import winston from 'winston';
+import { redact, redactString, redactFormat } from './redact.js';
+
+// Supported output formats
+export const LOG_FORMATS = ['text', 'json'];
+
+// Methods a logger must provide, most severe first
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+/**
+ * Normalize a log level name.
+ *
+ * @param {string} level - Level name, case-insensitive ('WARNING' is accepted for 'warn')
+ * @returns {string} Winston level name
+ *
+ * @throws {Error} If the level is not supported
+ */
+export function normalizeLogLevel(level) {
+  const normalized = String(level).toLowerCase();
+  const winstonLevel = normalized === 'warning' ? 'warn' : normalized;
+
+  if (!LOG_LEVELS.includes(winstonLevel)) {
+    throw new Error(`Invalid log level: ${level}. Expected one of: DEBUG, INFO, WARNING, ERROR`);
+  }
+
+  return winstonLevel;
+}
+
+/**
+ * Build winston logger options.
+ *
+ * @param {Object} options - Logger options
+ * @param {string} options.level - Log level (default: 'info')
+ * @param {string} options.format - Output format, 'text' or 'json' (default: 'text')
+ * @param {string} options.file - Also append log lines to this file (default: console only)
+ * @param {boolean} options.silent - Discard all output (default: false)
+ * @returns {Object} Options for winston.createLogger() or logger.configure()
+ *
+ * @throws {Error} If the level or format is not supported
+ */
+export function buildLoggerOptions({ level = 'info', format = 'text', file = null, silent = false } = {}) {
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Invalid log format: ${format}. Expected one of: ${LOG_FORMATS.join(', ')}`);
+  }
+
+  const output = format === 'json'
+    ? winston.format.json()
+    : winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} - ${level.toUpperCase()} - ${message}`;
+    });
+
+  const transports = [new winston.transports.Console()];
+  if (file) {
+    transports.push(new winston.transports.File({ filename: file }));
+  }
+
+  return {
+    level: normalizeLogLevel(level),
+    silent,
+    format: winston.format.combine(
+      redactFormat(),
+      winston.format.timestamp(),
+      output
+    ),
+    transports
+  };
+}
+
+/**
+ * Create a winston logger.
+ *
+ * @param {Object} options - Logger options (see buildLoggerOptions())
+ * @returns {winston.Logger} Logger
+ */
+export function createLogger(options = {}) {
+  return winston.createLogger(buildLoggerOptions(options));
+}
+
+/**
+ * Reconfigure an existing winston logger in place.
+ *
+ * Modules holding a reference to the logger keep logging through it with
+ * the new level, format and destinations.
+ *
+ * @param {winston.Logger} logger - Logger created by createLogger()
+ * @param {Object} options - Logger options (see buildLoggerOptions())
+ * @returns {winston.Logger} The same logger
+ */
+export function configureLogger(logger, options = {}) {
+  logger.configure(buildLoggerOptions(options));
+  return logger;
+}
+
+/**
+ * Wrap a caller-supplied logger so its output is redacted.
+ *
+ * Works with any logger exposing error, warn, info and debug methods that take
+ * a message and an optional metadata object (winston, console, ...). Loggers
+ * that take the metadata first, such as pino, need an adapter.
+ *
+ * @param {Object} logger - Logger to wrap
+ * @returns {Object} Logger with error, warn, info and debug methods
+ *
+ * @throws {Error} If the logger is missing one of the methods
+ */
+export function wrapLogger(logger) {
+  const missing = LOG_LEVELS.filter(level => typeof logger?.[level] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Logger must provide ${LOG_LEVELS.join(', ')} methods (missing: ${missing.join(', ')})`);
+  }
+
+  const wrapped = {};
+  for (const level of LOG_LEVELS) {
+    wrapped[level] = (message, meta) => {
+      if (meta === undefined) {
+        logger[level](redactString(message));
+      } else {
+        logger[level](redactString(message), redact(meta));
+      }
+    };
+  }
+  return wrapped;
+}
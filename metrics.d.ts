@@ -0,0 +1,62 @@
+/**
+ * Trefle Client Metrics
+ */
+
+import type { CacheStats } from './cache.js';
+import type { RateLimiterStatus } from './rate-limiter.js';
+
+export const DEFAULT_LATENCY_WINDOW: number;
+export const LATENCY_QUANTILES: number[];
+
+export interface LatencySummary {
+  /** Calls measured since the last reset */
+  count: number;
+  /** Total latency in ms since the last reset */
+  sum: number;
+  mean: number | null;
+  p50: number | null;
+  p90: number | null;
+  p99: number | null;
+}
+
+export interface EndpointMetrics {
+  /** HTTP requests sent, including retries */
+  requests: number;
+  responses: number;
+  errors: number;
+  retries: number;
+  /** Errors divided by completed calls */
+  errorRate: number;
+  /** Completed calls by HTTP status code */
+  statuses: Record<string, number>;
+  latency: LatencySummary;
+}
+
+export interface MetricsSnapshot {
+  /** ISO timestamp of the last reset */
+  since: string;
+  totals: Omit<EndpointMetrics, 'statuses'>;
+  /** Metrics keyed by endpoint route (e.g. 'plants/:id') */
+  endpoints: Record<string, EndpointMetrics>;
+  rateLimited: { client: number; server: number; waitMs: number };
+  /** Response cache statistics (null if caching is disabled) */
+  cache?: CacheStats | null;
+  /** Remaining rate limiter budget (null if rate limiting is disabled) */
+  rateLimit?: RateLimiterStatus | null;
+}
+
+export function normalizeEndpoint(endpoint: string): string;
+export function percentile(sorted: number[], quantile: number): number | null;
+
+/**
+ * Metrics registry for one TrefleAPI instance.
+ */
+export class MetricsRegistry {
+  constructor(options?: { latencyWindow?: number });
+  latencyWindow: number;
+  reset(): void;
+  record(event: string, details: Record<string, unknown>): void;
+  snapshot(): MetricsSnapshot;
+}
+
+export function formatPrometheus(snapshot: MetricsSnapshot, options?: { prefix?: string }): string;
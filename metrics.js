@@ -0,0 +1,325 @@
+/**
+ * Trefle Client Metrics
+ *
+ * In-process metrics registry fed by TrefleAPI events. Tracks, per endpoint
+ * route, the HTTP requests sent (including retries), completed calls, errors,
+ * retries, response status codes and call latency over a sliding window of
+ * recent calls, plus client- and server-side rate limiting.
+ *
+ * Endpoints are grouped into routes so record IDs do not create a series each
+ * (e.g. 'plants/123' and 'plants/456' are both counted as 'plants/:id').
+ *
+ * @example
+ * const registry = new MetricsRegistry();
+ * registry.record('request', { endpoint: 'plants/123' });
+ * registry.record('response', { endpoint: 'plants/123', status: 200, duration: 84 });
+ * formatPrometheus(registry.snapshot());
+ */
+
+// Number of recent latency samples kept per route
+export const DEFAULT_LATENCY_WINDOW = 1000;
+
+// Latency quantiles reported in snapshots and Prometheus output
+export const LATENCY_QUANTILES = [0.5, 0.9, 0.99];
+
+// Path segments that name a route rather than a record
+const ROUTE_SEGMENTS = new Set(['search', 'report', 'claim', 'plants', 'species']);
+
+/**
+ * Group an endpoint path into a route by replacing record IDs and slugs.
+ *
+ * @param {string} endpoint - API endpoint path (e.g. 'genus/42/plants')
+ * @returns {string} Route (e.g. 'genus/:id/plants')
+ */
+export function normalizeEndpoint(endpoint) {
+  const [resource, ...segments] = endpoint.split('/');
+  return [resource, ...segments.map(segment => (ROUTE_SEGMENTS.has(segment) ? segment : ':id'))].join('/');
+}
+
+/**
+ * Nearest-rank percentile of sorted samples.
+ *
+ * @param {Array<number>} sorted - Samples in ascending order
+ * @param {number} quantile - Quantile between 0 and 1
+ * @returns {number|null} Percentile value, or null without samples
+ */
+export function percentile(sorted, quantile) {
+  if (sorted.length === 0) {
+    return null;
+  }
+
+  const rank = Math.ceil(quantile * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+}
+
+/**
+ * Snapshot key for a latency quantile.
+ *
+ * @param {number} quantile - Quantile between 0 and 1
+ * @returns {string} Key such as 'p50'
+ * @private
+ */
+function quantileKey(quantile) {
+  return `p${Math.round(quantile * 100)}`;
+}
+
+/**
+ * Summarize latency samples.
+ *
+ * @param {Array<number>} samples - Recent latencies in ms
+ * @param {number} count - Calls measured since the last reset
+ * @param {number} sum - Total latency in ms since the last reset
+ * @returns {Object} Object with 'count', 'sum', 'mean' and 'p50'/'p90'/'p99' (ms, null without samples)
+ * @private
+ */
+function summarizeLatency(samples, count, sum) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const summary = { count, sum, mean: count > 0 ? sum / count : null };
+
+  for (const quantile of LATENCY_QUANTILES) {
+    summary[quantileKey(quantile)] = percentile(sorted, quantile);
+  }
+
+  return summary;
+}
+
+/**
+ * Metrics registry for one TrefleAPI instance.
+ */
+export class MetricsRegistry {
+  /**
+   * Initialize MetricsRegistry instance.
+   *
+   * @param {Object} options - Configuration options
+   * @param {number} options.latencyWindow - Recent latency samples kept per route (default: 1000)
+   *
+   * @throws {Error} If latencyWindow is not a positive integer
+   */
+  constructor({ latencyWindow = DEFAULT_LATENCY_WINDOW } = {}) {
+    if (!Number.isInteger(latencyWindow) || latencyWindow < 1) {
+      throw new Error(`latencyWindow must be a positive integer, got ${latencyWindow}`);
+    }
+
+    this.latencyWindow = latencyWindow;
+    this.reset();
+  }
+
+  /**
+   * Clear all recorded metrics.
+   */
+  reset() {
+    this.startedAt = Date.now();
+    this.routes = new Map();
+    this.rateLimited = { client: 0, server: 0 };
+    this.rateLimitWait = 0;
+  }
+
+  /**
+   * Get the counters for a route, creating them on first use.
+   *
+   * @param {string} endpoint - API endpoint path
+   * @returns {Object} Route counters
+   * @private
+   */
+  _route(endpoint) {
+    const route = normalizeEndpoint(endpoint);
+
+    if (!this.routes.has(route)) {
+      this.routes.set(route, {
+        requests: 0,
+        responses: 0,
+        errors: 0,
+        retries: 0,
+        statuses: {},
+        latencies: [],
+        latencyCount: 0,
+        latencySum: 0
+      });
+    }
+
+    return this.routes.get(route);
+  }
+
+  /**
+   * Record the status and latency of a finished call.
+   *
+   * @param {Object} counters - Route counters
+   * @param {number|null} status - HTTP status code, or null without a response
+   * @param {number} duration - Call duration in ms
+   * @private
+   */
+  _recordCompletion(counters, status, duration) {
+    if (status) {
+      counters.statuses[status] = (counters.statuses[status] || 0) + 1;
+    }
+
+    if (typeof duration === 'number') {
+      counters.latencies.push(duration);
+      if (counters.latencies.length > this.latencyWindow) {
+        counters.latencies.shift();
+      }
+      counters.latencyCount++;
+      counters.latencySum += duration;
+    }
+  }
+
+  /**
+   * Record a TrefleAPI event.
+   *
+   * @param {string} event - Event name ('request', 'response', 'retry', 'rateLimited' or 'error');
+   *                         other events are ignored
+   * @param {Object} details - Event details as emitted by TrefleAPI
+   */
+  record(event, details) {
+    switch (event) {
+      case 'request':
+        this._route(details.endpoint).requests++;
+        break;
+
+      case 'response': {
+        const counters = this._route(details.endpoint);
+        counters.responses++;
+        this._recordCompletion(counters, details.status, details.duration);
+        break;
+      }
+
+      case 'error': {
+        const counters = this._route(details.endpoint);
+        counters.errors++;
+        this._recordCompletion(counters, details.status, details.duration);
+        break;
+      }
+
+      case 'retry':
+        this._route(details.endpoint).retries++;
+        break;
+
+      case 'rateLimited':
+        this.rateLimited[details.source === 'server' ? 'server' : 'client']++;
+        this.rateLimitWait += details.wait || 0;
+        break;
+    }
+  }
+
+  /**
+   * Get a snapshot of the recorded metrics.
+   *
+   * Latency is the duration of whole calls, including retries and rate-limit
+   * waits. The error rate is errors divided by completed calls.
+   *
+   * @returns {Object} Snapshot with 'since', 'totals', 'endpoints' (keyed by route) and 'rateLimited'
+   */
+  snapshot() {
+    const endpoints = {};
+    const totals = { requests: 0, responses: 0, errors: 0, retries: 0 };
+    const samples = [];
+    let latencyCount = 0;
+    let latencySum = 0;
+
+    for (const [route, counters] of this.routes) {
+      const completed = counters.responses + counters.errors;
+      endpoints[route] = {
+        requests: counters.requests,
+        responses: counters.responses,
+        errors: counters.errors,
+        retries: counters.retries,
+        errorRate: completed > 0 ? counters.errors / completed : 0,
+        statuses: { ...counters.statuses },
+        latency: summarizeLatency(counters.latencies, counters.latencyCount, counters.latencySum)
+      };
+
+      for (const key of Object.keys(totals)) {
+        totals[key] += counters[key];
+      }
+      samples.push(...counters.latencies);
+      latencyCount += counters.latencyCount;
+      latencySum += counters.latencySum;
+    }
+
+    const completed = totals.responses + totals.errors;
+    totals.errorRate = completed > 0 ? totals.errors / completed : 0;
+    totals.latency = summarizeLatency(samples, latencyCount, latencySum);
+
+    return {
+      since: new Date(this.startedAt).toISOString(),
+      totals,
+      endpoints,
+      rateLimited: { ...this.rateLimited, waitMs: this.rateLimitWait }
+    };
+  }
+}
+
+/**
+ * Escape a Prometheus label value.
+ *
+ * @param {string} value - Label value
+ * @returns {string} Escaped value
+ * @private
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a metrics snapshot in the Prometheus text exposition format.
+ *
+ * @param {Object} snapshot - Snapshot from TrefleAPI.getMetrics() or MetricsRegistry.snapshot()
+ * @param {Object} options - Output options
+ * @param {string} options.prefix - Metric name prefix (default: 'trefle')
+ * @returns {string} Exposition text
+ *
+ * @example
+ * app.get('/metrics', (req, res) => {
+ *   res.type('text/plain; version=0.0.4').send(formatPrometheus(api.getMetrics()));
+ * });
+ */
+export function formatPrometheus(snapshot, { prefix = 'trefle' } = {}) {
+  const lines = [];
+  const routes = Object.entries(snapshot.endpoints);
+
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${prefix}_${name} ${help}`);
+    lines.push(`# TYPE ${prefix}_${name} ${type}`);
+    for (const [suffix, labels, value] of samples) {
+      const labelText = Object.entries(labels)
+        .map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`)
+        .join(',');
+      lines.push(`${prefix}_${name}${suffix}${labelText ? `{${labelText}}` : ''} ${value}`);
+    }
+  };
+
+  const perRoute = key => routes.map(([endpoint, counters]) => ['', { endpoint }, counters[key]]);
+
+  metric('requests_total', 'counter', 'HTTP requests sent, including retries.', perRoute('requests'));
+  metric('request_errors_total', 'counter', 'Calls that failed after retries.', perRoute('errors'));
+  metric('request_retries_total', 'counter', 'Retried request attempts.', perRoute('retries'));
+  metric('responses_total', 'counter', 'Completed calls by HTTP status code.', routes.flatMap(([endpoint, counters]) =>
+    Object.entries(counters.statuses).map(([status, count]) => ['', { endpoint, status }, count])
+  ));
+  metric('request_duration_seconds', 'summary', 'Call duration including retries and rate-limit waits.',
+    routes.flatMap(([endpoint, { latency }]) => [
+      ...LATENCY_QUANTILES
+        .filter(quantile => latency[quantileKey(quantile)] !== null)
+        .map(quantile => ['', { endpoint, quantile }, latency[quantileKey(quantile)] / 1000]),
+      ['_sum', { endpoint }, latency.sum / 1000],
+      ['_count', { endpoint }, latency.count]
+    ])
+  );
+  metric('rate_limited_total', 'counter', 'Requests delayed by the client rate limiter or a 429 response.', [
+    ['', { source: 'client' }, snapshot.rateLimited.client],
+    ['', { source: 'server' }, snapshot.rateLimited.server]
+  ]);
+
+  if (snapshot.cache) {
+    metric('cache_hits_total', 'counter', 'Responses served from the response cache.', [['', {}, snapshot.cache.hits]]);
+    metric('cache_misses_total', 'counter', 'Cache lookups that went to the API.', [['', {}, snapshot.cache.misses]]);
+  }
+
+  if (snapshot.rateLimit) {
+    metric('rate_limit_available_tokens', 'gauge', 'Requests that may be sent now without waiting.', [
+      ['', {}, snapshot.rateLimit.available]
+    ]);
+  }
+
+  return lines.join('\n') + '\n';
+}
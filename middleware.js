@@ -0,0 +1,176 @@
+/**
+ * Trefle Middleware
+ *
+ * Request/response hooks for TrefleAPI. A middleware is a plain object with
+ * any of the following async hooks, each called once per API call (not per
+ * retry attempt) with a shared request context:
+ *
+ * - beforeRequest(context): runs before the request is sent. May add headers
+ *   to context.headers, throw to abort the call, or return a value to answer
+ *   the call without sending a request.
+ * - afterResponse(context): runs after a successful response, with the response
+ *   body in context.data and the elapsed time in context.duration. May return a
+ *   value to replace the response.
+ * - onError(context): runs when the call fails, with the error in context.error.
+ *   May return a value to recover with that response, or throw a different error.
+ *
+ * Hooks run in registration order. Responses served from the response cache
+ * do not pass through middleware.
+ *
+ * @example
+ * api.use({
+ *   afterResponse(context) {
+ *     console.log(`${context.method} ${context.endpoint} took ${context.duration}ms`);
+ *   }
+ * });
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { sanitizeParams } from './errors.js';
+
+// Hook names recognised on a middleware object
+export const MIDDLEWARE_HOOKS = ['beforeRequest', 'afterResponse', 'onError'];
+
+/**
+ * Check that a value is a usable middleware object.
+ *
+ * @param {Object} middleware - Middleware to check
+ * @returns {Object} The middleware
+ *
+ * @throws {Error} If middleware is not an object, has no hooks, or a hook is not a function
+ */
+export function validateMiddleware(middleware) {
+  if (!middleware || typeof middleware !== 'object') {
+    throw new Error('Middleware must be an object with beforeRequest, afterResponse or onError hooks');
+  }
+
+  const hooks = MIDDLEWARE_HOOKS.filter(hook => middleware[hook] !== undefined);
+  if (hooks.length === 0) {
+    throw new Error('Middleware must define at least one of: ' + MIDDLEWARE_HOOKS.join(', '));
+  }
+
+  for (const hook of hooks) {
+    if (typeof middleware[hook] !== 'function') {
+      throw new Error(`Middleware hook ${hook} must be a function`);
+    }
+  }
+
+  return middleware;
+}
+
+/**
+ * Create the context shared by the hooks of one API call.
+ *
+ * @param {Object} request - Request details
+ * @param {string} request.method - HTTP method
+ * @param {string} request.endpoint - API endpoint path
+ * @param {string} request.url - Full request URL
+ * @param {Object} request.params - Request parameters (the token is removed)
+ * @returns {Object} Request context
+ */
+export function createMiddlewareContext({ method, endpoint, url, params }) {
+  return {
+    method: method.toUpperCase(),
+    endpoint,
+    url,
+    params: sanitizeParams(params),
+    headers: {},
+    startTime: Date.now(),
+    duration: null,
+    attempts: 0,
+    data: undefined,
+    error: null
+  };
+}
+
+/**
+ * Run the beforeRequest hooks.
+ *
+ * @param {Array<Object>} middleware - Registered middleware
+ * @param {Object} context - Request context
+ * @returns {Promise<any>} Value returned by the first hook that answers the call, or undefined
+ */
+export async function runBeforeRequest(middleware, context) {
+  for (const entry of middleware) {
+    if (!entry.beforeRequest) {
+      continue;
+    }
+
+    const result = await entry.beforeRequest(context);
+    if (result !== undefined) {
+      return result;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Run the afterResponse hooks.
+ *
+ * @param {Array<Object>} middleware - Registered middleware
+ * @param {Object} context - Request context with 'data' set
+ * @returns {Promise<any>} Final response
+ */
+export async function runAfterResponse(middleware, context) {
+  for (const entry of middleware) {
+    if (!entry.afterResponse) {
+      continue;
+    }
+
+    const result = await entry.afterResponse(context);
+    if (result !== undefined) {
+      context.data = result;
+    }
+  }
+
+  return context.data;
+}
+
+/**
+ * Run the onError hooks.
+ *
+ * @param {Array<Object>} middleware - Registered middleware
+ * @param {Object} context - Request context with 'error' set
+ * @returns {Promise<any>} Response returned by the first hook that recovers from the error
+ *
+ * @throws {Error} context.error (or the error thrown by a hook) if no hook recovers
+ */
+export async function runOnError(middleware, context) {
+  for (const entry of middleware) {
+    if (!entry.onError) {
+      continue;
+    }
+
+    const result = await entry.onError(context);
+    if (result !== undefined) {
+      context.error = null;
+      return result;
+    }
+  }
+
+  throw context.error;
+}
+
+/**
+ * Load middleware from an ES module file.
+ *
+ * The module's default export must be a middleware object or an array of them.
+ * Used by the CLI --middleware option.
+ *
+ * @param {string} modulePath - Path to the module, relative to the working directory
+ * @returns {Promise<Array<Object>>} Middleware exported by the module
+ *
+ * @throws {Error} If the module has no default export or exports invalid middleware
+ */
+export async function loadMiddleware(modulePath) {
+  const module = await import(pathToFileURL(path.resolve(modulePath)).href);
+
+  if (module.default === undefined) {
+    throw new Error(`Middleware module ${modulePath} has no default export`);
+  }
+
+  const middleware = Array.isArray(module.default) ? module.default : [module.default];
+  return middleware.map(validateMiddleware);
+}
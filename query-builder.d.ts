@@ -0,0 +1,76 @@
+/**
+ * Trefle Query Builder
+ */
+
+import type { TrefleAPI, ListOptions, PaginationOptions } from './api.js';
+import type { CollectionResponse, Page, Plant, Species } from './types.js';
+
+/** Value type of a filterable field: 'string', 'boolean', 'number', or the allowed values */
+export type FilterFieldType = 'string' | 'boolean' | 'number' | readonly string[];
+
+/** Fields numeric filters and ranges accept */
+export type RangeField =
+  | 'year' | 'genus_id'
+  | 'average_height' | 'maximum_height' | 'average_height_cm' | 'maximum_height_cm'
+  | 'spread' | 'planting_row_spacing_cm' | 'planting_spread_cm' | 'planting_days_to_harvest'
+  | 'light' | 'atmospheric_humidity' | 'ph_minimum' | 'ph_maximum'
+  | 'minimum_precipitation_mm' | 'maximum_precipitation_mm' | 'minimum_root_depth_cm'
+  | 'minimum_temperature_deg_c' | 'maximum_temperature_deg_c'
+  | 'minimum_temperature_deg_f' | 'maximum_temperature_deg_f'
+  | 'soil_nutriments' | 'soil_salinity' | 'soil_texture' | 'soil_humidity';
+
+/** Fields Trefle can filter and sort plants and species on */
+export type FilterField =
+  | RangeField
+  | 'common_name' | 'scientific_name' | 'slug' | 'author' | 'bibliography'
+  | 'status' | 'rank' | 'family' | 'family_name' | 'family_common_name' | 'genus' | 'genus_name'
+  | 'edible' | 'vegetable' | 'edible_part' | 'toxicity'
+  | 'flower_color' | 'flower_conspicuous' | 'foliage_color' | 'foliage_texture' | 'leaf_retention'
+  | 'fruit_color' | 'fruit_conspicuous' | 'fruit_seed_persistence'
+  | 'ligneous_type' | 'growth_form' | 'growth_habit' | 'growth_rate' | 'duration'
+  | 'bloom_months' | 'fruit_months' | 'growth_months';
+
+export type OrderDirection = 'asc' | 'desc';
+
+/** Filter value: a single value, or a list of values */
+export type FilterValue = string | number | boolean | Array<string | number>;
+
+export const FILTER_FIELDS: Readonly<Record<FilterField, FilterFieldType>>;
+export const RANGE_FIELDS: readonly RangeField[];
+export const ORDER_DIRECTIONS: OrderDirection[];
+
+export function validateField(field: string): void;
+export function validateFilterValue(field: FilterField, value: FilterValue): string | number | Array<string | number>;
+
+/**
+ * Options produced by toOptions().
+ */
+export interface QueryOptions {
+  filter?: Partial<Record<FilterField, FilterValue>>;
+  filter_not?: Partial<Record<FilterField, FilterValue | null>>;
+  range?: Partial<Record<RangeField, [number, number]>>;
+  order?: Partial<Record<FilterField, OrderDirection>>;
+}
+
+/**
+ * Fluent, validated query for plants or species.
+ */
+export class QueryBuilder<T = Plant | Species> {
+  constructor(api: TrefleAPI, resource: 'plants' | 'species');
+  where(field: FilterField, value: FilterValue): this;
+  where(fields: Partial<Record<FilterField, FilterValue>>): this;
+  exclude(field: FilterField, value?: FilterValue | null): this;
+  range(field: RangeField, min: number, max: number): this;
+  orderBy(field: FilterField, direction?: OrderDirection): this;
+  search(query: string): this;
+  inZone(zoneId: number | string): this;
+  inGenus(genusId: number | string): this;
+  toRequest(): { methodName: string; args: Array<number | string> };
+  toOptions(): QueryOptions;
+  get(options?: ListOptions): Promise<CollectionResponse<T>>;
+  paginate(options?: PaginationOptions): AsyncGenerator<Page<T>, void, undefined>;
+  iterate(options?: PaginationOptions): AsyncGenerator<T, void, undefined>;
+  all(options?: PaginationOptions): Promise<T[]>;
+}
+
+export default QueryBuilder;
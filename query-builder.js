@@ -0,0 +1,504 @@
+/**
+ * Trefle Query Builder
+ *
+ * Fluent builder for the filter, filter_not, range and order options accepted
+ * by the plant and species list endpoints. Field names and values are checked
+ * against the fields Trefle can filter on, so a typo such as `ligneus_type`
+ * fails loudly instead of silently returning unfiltered data.
+ *
+ * @example
+ * const trees = await api.plants()
+ *   .where('edible', true)
+ *   .exclude('toxicity', 'high')
+ *   .range('maximum_height', 100, 500)
+ *   .orderBy('common_name')
+ *   .all({ maxPages: 5 });
+ */
+
+import { TrefleValidationError } from './errors.js';
+
+const COLORS = ['white', 'red', 'brown', 'orange', 'yellow', 'lime', 'green', 'cyan', 'blue', 'purple', 'magenta', 'grey', 'black'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Fields Trefle can filter and sort plants and species on, mapped to their value type:
+ * 'string', 'boolean', 'number', or an array of allowed values.
+ */
+export const FILTER_FIELDS = Object.freeze({
+  // Names and taxonomy
+  common_name: 'string',
+  scientific_name: 'string',
+  slug: 'string',
+  author: 'string',
+  bibliography: 'string',
+  year: 'number',
+  status: ['accepted', 'unknown'],
+  rank: ['species', 'ssp', 'var', 'form', 'hybrid', 'subvar'],
+  family: 'string',
+  family_name: 'string',
+  family_common_name: 'string',
+  genus: 'string',
+  genus_name: 'string',
+  genus_id: 'number',
+
+  // Uses
+  edible: 'boolean',
+  vegetable: 'boolean',
+  edible_part: ['roots', 'stem', 'leaves', 'flowers', 'fruits', 'seeds', 'tubers'],
+  toxicity: ['none', 'low', 'medium', 'high'],
+
+  // Appearance
+  flower_color: COLORS,
+  flower_conspicuous: 'boolean',
+  foliage_color: COLORS,
+  foliage_texture: ['fine', 'medium', 'coarse'],
+  leaf_retention: 'boolean',
+  fruit_color: COLORS,
+  fruit_conspicuous: 'boolean',
+  fruit_seed_persistence: 'boolean',
+
+  // Growth
+  ligneous_type: ['liana', 'subshrub', 'shrub', 'tree', 'parasite'],
+  growth_form: 'string',
+  growth_habit: 'string',
+  growth_rate: 'string',
+  duration: ['annual', 'biennial', 'perennial'],
+  bloom_months: MONTHS,
+  fruit_months: MONTHS,
+  growth_months: MONTHS,
+
+  // Size
+  average_height: 'number',
+  maximum_height: 'number',
+  average_height_cm: 'number',
+  maximum_height_cm: 'number',
+  spread: 'number',
+  planting_row_spacing_cm: 'number',
+  planting_spread_cm: 'number',
+  planting_days_to_harvest: 'number',
+
+  // Environment
+  light: 'number',
+  atmospheric_humidity: 'number',
+  ph_minimum: 'number',
+  ph_maximum: 'number',
+  minimum_precipitation_mm: 'number',
+  maximum_precipitation_mm: 'number',
+  minimum_root_depth_cm: 'number',
+  minimum_temperature_deg_c: 'number',
+  maximum_temperature_deg_c: 'number',
+  minimum_temperature_deg_f: 'number',
+  maximum_temperature_deg_f: 'number',
+  soil_nutriments: 'number',
+  soil_salinity: 'number',
+  soil_texture: 'number',
+  soil_humidity: 'number'
+});
+
+// Numeric fields, the only ones that accept range filters
+export const RANGE_FIELDS = Object.freeze(
+  Object.keys(FILTER_FIELDS).filter(field => FILTER_FIELDS[field] === 'number')
+);
+
+// Sort directions accepted by order
+export const ORDER_DIRECTIONS = ['asc', 'desc'];
+
+// List methods used by each resource: unscoped, text search, and scoped by zone or genus
+const RESOURCE_METHODS = {
+  plants: { list: 'getPlants', search: 'searchPlants', zone: 'getPlantsByZone', genus: 'getPlantsByGenus' },
+  species: { list: 'getSpeciesList', search: 'searchSpecies' }
+};
+
+/**
+ * Count the single-character edits needed to turn one string into another.
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ * @private
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Build the error for an unknown field, suggesting the closest known field.
+ *
+ * @param {string} field - Unknown field name
+ * @param {Array<string>} fields - Known field names
+ * @param {string} kind - Kind of field for the message ('filter', 'range')
+ * @returns {TrefleValidationError} Validation error
+ * @private
+ */
+function unknownFieldError(field, fields, kind) {
+  let suggestion = null;
+  let bestDistance = 3;
+
+  for (const candidate of fields) {
+    const distance = editDistance(field, candidate);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      suggestion = candidate;
+    }
+  }
+
+  const hint = suggestion ? ` Did you mean '${suggestion}'?` : '';
+  return new TrefleValidationError(`Unknown ${kind} field '${field}'.${hint}`);
+}
+
+/**
+ * Check that a field is filterable.
+ *
+ * @param {string} field - Field name
+ * @throws {TrefleValidationError} If the field is unknown
+ */
+export function validateField(field) {
+  if (!Object.hasOwn(FILTER_FIELDS, field)) {
+    throw unknownFieldError(field, Object.keys(FILTER_FIELDS), 'filter');
+  }
+}
+
+/**
+ * Check and normalize a filter value for a field.
+ *
+ * Booleans accept true/false or 'true'/'false', numbers accept numeric
+ * strings, and enumerated fields accept only their documented values
+ * (case-insensitive). Arrays are allowed for non-boolean fields and match
+ * any of the values.
+ *
+ * @param {string} field - Field name
+ * @param {any} value - Filter value, or an array of values
+ * @returns {any} Normalized value (booleans as 'true'/'false', enum values lower-cased)
+ *
+ * @throws {TrefleValidationError} If the field is unknown or the value has the wrong type
+ */
+export function validateFilterValue(field, value) {
+  validateField(field);
+  const type = FILTER_FIELDS[field];
+
+  if (Array.isArray(value)) {
+    if (type === 'boolean') {
+      throw new TrefleValidationError(`Field '${field}' takes a single boolean, got an array`);
+    }
+    if (value.length === 0) {
+      throw new TrefleValidationError(`Field '${field}' needs at least one value`);
+    }
+    return value.map(item => validateFilterValue(field, item));
+  }
+
+  if (type === 'boolean') {
+    if (value === true || value === 'true') {
+      return 'true';
+    }
+    if (value === false || value === 'false') {
+      return 'false';
+    }
+    throw new TrefleValidationError(`Field '${field}' must be a boolean, got ${JSON.stringify(value)}`);
+  }
+
+  if (type === 'number') {
+    const isNumeric = ['number', 'string'].includes(typeof value) && value !== '' && Number.isFinite(Number(value));
+    if (!isNumeric) {
+      throw new TrefleValidationError(`Field '${field}' must be a number, got ${JSON.stringify(value)}`);
+    }
+    return Number(value);
+  }
+
+  if (typeof value !== 'string' || value === '') {
+    throw new TrefleValidationError(`Field '${field}' must be a non-empty string, got ${JSON.stringify(value)}`);
+  }
+
+  if (Array.isArray(type)) {
+    const normalized = value.toLowerCase();
+    if (!type.includes(normalized)) {
+      throw new TrefleValidationError(
+        `Invalid value '${value}' for field '${field}'. Expected one of: ${type.join(', ')}`
+      );
+    }
+    return normalized;
+  }
+
+  return value;
+}
+
+/**
+ * Fluent builder for plant and species queries.
+ *
+ * Create one with api.plants() or api.species(). Each call validates its
+ * arguments immediately and returns the builder, so calls can be chained.
+ */
+export class QueryBuilder {
+  /**
+   * @param {TrefleAPI} api - API client used to run the query
+   * @param {string} resource - 'plants' or 'species'
+   *
+   * @throws {TrefleValidationError} If resource is not supported
+   */
+  constructor(api, resource) {
+    if (!Object.hasOwn(RESOURCE_METHODS, resource)) {
+      throw new TrefleValidationError(`Unsupported query resource: ${resource}`);
+    }
+
+    this.api = api;
+    this.resource = resource;
+    this.scope = null;
+    this.filters = {};
+    this.exclusions = {};
+    this.ranges = {};
+    this.order = {};
+  }
+
+  /**
+   * Keep only records whose field matches a value (or any of several values).
+   *
+   * @param {string|Object} field - Field name, or an object of field/value pairs
+   * @param {any} value - Value, or an array of values
+   * @returns {QueryBuilder} This builder
+   *
+   * @throws {TrefleValidationError} If the field is unknown or the value has the wrong type
+   *
+   * @example
+   * api.plants().where('edible', true).where('flower_color', ['red', 'white']);
+   * api.plants().where({ vegetable: true, duration: 'perennial' });
+   */
+  where(field, value) {
+    if (field && typeof field === 'object') {
+      for (const [key, entry] of Object.entries(field)) {
+        this.where(key, entry);
+      }
+      return this;
+    }
+
+    this.filters[field] = validateFilterValue(field, value);
+    return this;
+  }
+
+  /**
+   * Leave out records whose field matches a value.
+   *
+   * Without a value, leaves out records that have no value for the field.
+   *
+   * @param {string} field - Field name
+   * @param {any} value - Value, or an array of values (default: null, meaning "no value")
+   * @returns {QueryBuilder} This builder
+   *
+   * @throws {TrefleValidationError} If the field is unknown or the value has the wrong type
+   *
+   * @example
+   * api.plants().exclude('toxicity', 'high').exclude('common_name');
+   */
+  exclude(field, value = null) {
+    if (value === null) {
+      validateField(field);
+      this.exclusions[field] = null;
+    } else {
+      this.exclusions[field] = validateFilterValue(field, value);
+    }
+    return this;
+  }
+
+  /**
+   * Keep only records whose numeric field falls between two bounds (inclusive).
+   *
+   * @param {string} field - Numeric field name
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @returns {QueryBuilder} This builder
+   *
+   * @throws {TrefleValidationError} If the field is not numeric or the bounds are invalid
+   *
+   * @example
+   * api.plants().range('maximum_height', 100, 500);
+   */
+  range(field, min, max) {
+    if (!RANGE_FIELDS.includes(field)) {
+      if (Object.hasOwn(FILTER_FIELDS, field)) {
+        throw new TrefleValidationError(`Field '${field}' is not numeric and cannot be used in a range`);
+      }
+      throw unknownFieldError(field, RANGE_FIELDS, 'range');
+    }
+
+    const lower = validateFilterValue(field, min);
+    const upper = validateFilterValue(field, max);
+    if (lower > upper) {
+      throw new TrefleValidationError(`Range for '${field}' has min ${lower} greater than max ${upper}`);
+    }
+
+    this.ranges[field] = [lower, upper];
+    return this;
+  }
+
+  /**
+   * Sort results by a field. Later calls add secondary sort fields.
+   *
+   * @param {string} field - Field name
+   * @param {string} direction - 'asc' or 'desc' (default: 'asc')
+   * @returns {QueryBuilder} This builder
+   *
+   * @throws {TrefleValidationError} If the field or direction is not supported
+   */
+  orderBy(field, direction = 'asc') {
+    validateField(field);
+
+    const normalized = String(direction).toLowerCase();
+    if (!ORDER_DIRECTIONS.includes(normalized)) {
+      throw new TrefleValidationError(`Invalid sort direction '${direction}'. Expected 'asc' or 'desc'`);
+    }
+
+    this.order[field] = normalized;
+    return this;
+  }
+
+  /**
+   * Run the query as a full-text search (searchPlants/searchSpecies).
+   *
+   * @param {string} query - Search query
+   * @returns {QueryBuilder} This builder
+   *
+   * @throws {TrefleValidationError} If the query is empty or another scope is set
+   */
+  search(query) {
+    if (!query) {
+      throw new TrefleValidationError('Search query cannot be empty');
+    }
+    return this._setScope('search', query);
+  }
+
+  /**
+   * Limit the query to plants native or introduced to a distribution zone (getPlantsByZone).
+   *
+   * @param {number|string} zoneId - Distribution zone ID or slug
+   * @returns {QueryBuilder} This builder
+   *
+   * @throws {TrefleValidationError} If the resource is not plants or another scope is set
+   */
+  inZone(zoneId) {
+    return this._setScope('zone', zoneId);
+  }
+
+  /**
+   * Limit the query to plants of a genus (getPlantsByGenus).
+   *
+   * @param {number|string} genusId - Genus ID or slug
+   * @returns {QueryBuilder} This builder
+   *
+   * @throws {TrefleValidationError} If the resource is not plants or another scope is set
+   */
+  inGenus(genusId) {
+    return this._setScope('genus', genusId);
+  }
+
+  /**
+   * Set the search/zone/genus scope of the query.
+   *
+   * @param {string} type - Scope type ('search', 'zone', 'genus')
+   * @param {any} value - Positional argument for the scoped method
+   * @returns {QueryBuilder} This builder
+   * @private
+   */
+  _setScope(type, value) {
+    if (!RESOURCE_METHODS[this.resource][type]) {
+      throw new TrefleValidationError(`${this.resource} queries cannot be scoped by ${type}`);
+    }
+    if (this.scope && this.scope.type !== type) {
+      throw new TrefleValidationError(`Query is already scoped by ${this.scope.type}`);
+    }
+
+    this.scope = { type, value };
+    return this;
+  }
+
+  /**
+   * Get the API method name and positional arguments the query runs with.
+   *
+   * @returns {Object} { methodName, args }
+   */
+  toRequest() {
+    const methods = RESOURCE_METHODS[this.resource];
+    if (!this.scope) {
+      return { methodName: methods.list, args: [] };
+    }
+    return { methodName: methods[this.scope.type], args: [this.scope.value] };
+  }
+
+  /**
+   * Get the query as list method options.
+   *
+   * @returns {Object} Options with 'filter', 'filter_not', 'range' and 'order' (empty ones omitted)
+   *
+   * @example
+   * api.plants().where('edible', true).toOptions(); // { filter: { edible: 'true' } }
+   */
+  toOptions() {
+    const options = {};
+    const parts = { filter: this.filters, filter_not: this.exclusions, range: this.ranges, order: this.order };
+
+    for (const [key, value] of Object.entries(parts)) {
+      if (Object.keys(value).length > 0) {
+        options[key] = { ...value };
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Fetch one page of results.
+   *
+   * @param {Object} options - Page number and per-call options
+   * @param {number} options.page - Page number (default: 1)
+   * @param {string} options.cache - Cache mode for this call ('bypass' or 'refresh')
+   * @param {AbortSignal} options.signal - Signal that cancels the request
+   * @returns {Promise<Object>} Response with 'data', 'links', and 'meta' keys
+   */
+  async get(options = {}) {
+    const { methodName, args } = this.toRequest();
+    return this.api[methodName](...args, { ...options, ...this.toOptions() });
+  }
+
+  /**
+   * Iterate over result pages (see TrefleAPI.paginate()).
+   *
+   * @param {Object} options - Pagination and per-call options (startPage, maxPages, maxRecords, signal, ...)
+   * @returns {AsyncGenerator<Object>} Pages with 'page', 'data', 'links', and 'meta' keys
+   */
+  paginate(options = {}) {
+    const { methodName, args } = this.toRequest();
+    return this.api.paginate(methodName, ...args, { ...options, ...this.toOptions() });
+  }
+
+  /**
+   * Iterate over individual records across pages (see TrefleAPI.iterateRecords()).
+   *
+   * @param {Object} options - Pagination and per-call options (startPage, maxPages, maxRecords, signal, ...)
+   * @returns {AsyncGenerator<Object>} Records in order
+   */
+  iterate(options = {}) {
+    const { methodName, args } = this.toRequest();
+    return this.api.iterateRecords(methodName, ...args, { ...options, ...this.toOptions() });
+  }
+
+  /**
+   * Fetch every matching record (see TrefleAPI.getAllPages()).
+   *
+   * @param {Object} options - Pagination and per-call options (startPage, maxPages, maxRecords, signal, ...)
+   * @returns {Promise<Array>} Records from all pages
+   */
+  async all(options = {}) {
+    const { methodName, args } = this.toRequest();
+    return this.api.getAllPages(methodName, ...args, { ...options, ...this.toOptions() });
+  }
+}
+
+export default QueryBuilder;
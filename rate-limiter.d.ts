@@ -0,0 +1,38 @@
+/**
+ * Trefle Rate Limiter
+ */
+
+/** Default number of requests that may be sent without waiting */
+export const DEFAULT_BURST: number;
+
+export interface RateLimiterOptions {
+  /** Sustained request rate (default: 120) */
+  requestsPerMinute?: number;
+  /** Maximum number of requests sent without waiting (default: 10) */
+  burst?: number;
+}
+
+export interface RateLimiterStatus {
+  requestsPerMinute: number;
+  burst: number;
+  /** Requests that may be sent now without waiting */
+  available: number;
+  /** Callers holding a future token */
+  waiting: number;
+}
+
+/**
+ * Token-bucket rate limiter.
+ */
+export class RateLimiter {
+  constructor(options?: RateLimiterOptions);
+  requestsPerMinute: number;
+  burst: number;
+  tokens: number;
+  reserve(): number;
+  /** Resolves with the milliseconds waited */
+  acquire(signal?: AbortSignal | null): Promise<number>;
+  getStatus(): RateLimiterStatus;
+}
+
+export default RateLimiter;
@@ -0,0 +1,126 @@
+/**
+ * Trefle Rate Limiter
+ *
+ * Token-bucket rate limiter used by TrefleAPI to keep requests within the
+ * Trefle API rate limit. Tokens refill continuously at the configured
+ * requests-per-minute rate, and up to `burst` requests may be sent back to
+ * back before callers start waiting.
+ *
+ * @example
+ * const limiter = new RateLimiter({ requestsPerMinute: 60, burst: 5 });
+ * await limiter.acquire();
+ * // ...send request
+ */
+
+import { RATE_LIMIT } from './config.js';
+import { sleep } from './retry.js';
+
+// Default number of requests that may be sent without waiting
+export const DEFAULT_BURST = 10;
+
+/**
+ * Token-bucket rate limiter.
+ *
+ * Callers that arrive when the bucket is empty reserve a future token and
+ * wait for it, so concurrent callers are served in arrival order.
+ */
+export class RateLimiter {
+  /**
+   * Initialize RateLimiter instance.
+   *
+   * @param {Object} options - Configuration options
+   * @param {number} options.requestsPerMinute - Sustained request rate (default: RATE_LIMIT)
+   * @param {number} options.burst - Maximum number of requests sent without waiting (default: 10)
+   *
+   * @throws {Error} If requestsPerMinute or burst is not a positive number
+   */
+  constructor({ requestsPerMinute = RATE_LIMIT, burst = DEFAULT_BURST } = {}) {
+    if (!(requestsPerMinute > 0)) {
+      throw new Error(`requestsPerMinute must be a positive number, got ${requestsPerMinute}`);
+    }
+    if (!(burst >= 1)) {
+      throw new Error(`burst must be at least 1, got ${burst}`);
+    }
+
+    this.requestsPerMinute = requestsPerMinute;
+    this.burst = Math.floor(burst);
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Add the tokens accumulated since the last refill, capped at the burst size.
+   *
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+    this.lastRefill = now;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * (this.requestsPerMinute / 60000));
+  }
+
+  /**
+   * Reserve a token and compute how long the caller must wait for it.
+   *
+   * A negative token count represents reservations already handed out
+   * to waiting callers.
+   *
+   * @returns {number} Milliseconds to wait before the reserved token is available
+   */
+  reserve() {
+    this._refill();
+    this.tokens -= 1;
+
+    if (this.tokens >= 0) {
+      return 0;
+    }
+
+    return Math.ceil(-this.tokens * (60000 / this.requestsPerMinute));
+  }
+
+  /**
+   * Wait until a request may be sent.
+   *
+   * If the signal is aborted while waiting, the reserved token is returned
+   * to the bucket.
+   *
+   * @param {AbortSignal} signal - Optional signal that cancels the wait
+   * @returns {Promise<number>} Resolves with the milliseconds waited once a token is available;
+   *                            rejects with signal.reason if aborted
+   */
+  async acquire(signal = null) {
+    signal?.throwIfAborted();
+
+    const waitMs = this.reserve();
+    if (waitMs > 0) {
+      try {
+        await sleep(waitMs, signal);
+      } catch (error) {
+        this.tokens += 1;
+        throw error;
+      }
+    }
+
+    return waitMs;
+  }
+
+  /**
+   * Get the remaining request budget.
+   *
+   * @returns {Object} Object with 'requestsPerMinute', 'burst', 'available' (requests that may be
+   *                   sent now without waiting) and 'waiting' (callers holding a future token)
+   */
+  getStatus() {
+    this._refill();
+
+    return {
+      requestsPerMinute: this.requestsPerMinute,
+      burst: this.burst,
+      available: Math.max(0, Math.floor(this.tokens)),
+      waiting: Math.max(0, Math.ceil(-this.tokens))
+    };
+  }
+}
+
+export default RateLimiter;
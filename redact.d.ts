@@ -0,0 +1,17 @@
+/**
+ * Trefle Secret Redaction
+ */
+
+import type { Logform } from 'winston';
+
+/** Replacement text for redacted values */
+export const REDACTED: '[REDACTED]';
+
+export function registerSecret(secret: string): void;
+export function unregisterSecret(secret: string): void;
+export function redactString<T>(value: T): T;
+export function redact<T>(value: T): T;
+export function redactError<T>(error: T): T;
+
+/** Winston format that redacts every string field of a log entry */
+export const redactFormat: Logform.FormatWrap;
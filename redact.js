@@ -0,0 +1,218 @@
+/**
+ * Trefle Secret Redaction
+ *
+ * Keeps the API token out of log output, thrown errors and files. The token
+ * travels as a `token` query parameter, so it can surface in axios error
+ * messages, `error.config`, request paths and stack traces.
+ *
+ * Every TrefleAPI instance registers its token here; the loggers in api.js,
+ * utils.js and cli.js redact through redactFormat(), errors are scrubbed with
+ * redactError(), and files are written through redactString().
+ *
+ * @example
+ * registerSecret('abc123');
+ * redactString('GET /plants?token=abc123&page=2'); // 'GET /plants?token=[REDACTED]&page=2'
+ */
+
+import winston from 'winston';
+
+// Replacement text for redacted values
+export const REDACTED = '[REDACTED]';
+
+// Object keys whose values are always redacted
+const SECRET_KEYS = ['token', 'jwt', 'password', 'authorization', 'proxy-authorization'];
+
+// Query string token parameter (e.g. ?token=abc or &token=abc), encoded or not
+const TOKEN_PARAM_PATTERN = /([?&;]token=)[^&\s"'#]+/gi;
+
+// Registered secret values
+const secrets = new Set();
+
+/**
+ * Register a value that must never appear in output.
+ *
+ * @param {string} secret - Secret value (ignored if empty)
+ */
+export function registerSecret(secret) {
+  if (typeof secret === 'string' && secret.length > 0) {
+    secrets.add(secret);
+  }
+}
+
+/**
+ * Forget a registered secret.
+ *
+ * @param {string} secret - Secret value
+ */
+export function unregisterSecret(secret) {
+  secrets.delete(secret);
+}
+
+/**
+ * Replace registered secrets and token query parameters in a string.
+ *
+ * @param {string} value - String to redact
+ * @returns {string} Redacted string (non-strings are returned unchanged)
+ */
+export function redactString(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  let result = value.replace(TOKEN_PARAM_PATTERN, `$1${REDACTED}`);
+
+  // Longest first, so a secret containing another is replaced whole
+  const sorted = [...secrets].sort((a, b) => b.length - a.length);
+  for (const secret of sorted) {
+    result = result.split(secret).join(REDACTED);
+    const encoded = encodeURIComponent(secret);
+    if (encoded !== secret) {
+      result = result.split(encoded).join(REDACTED);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Return a redacted deep copy of a value.
+ *
+ * Strings are redacted with redactString(), values under secret keys
+ * ('token', 'authorization', ...) are replaced entirely, errors are
+ * scrubbed in place with redactError(), and circular references are preserved.
+ *
+ * @param {any} value - Value to redact
+ * @param {WeakMap} seen - Copies of objects already visited (used internally for cycles)
+ * @returns {any} Redacted copy
+ */
+export function redact(value, seen = new WeakMap()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return seen.get(value);
+  }
+
+  if (Array.isArray(value)) {
+    const copy = [];
+    seen.set(value, copy);
+    for (const item of value) {
+      copy.push(redact(item, seen));
+    }
+    return copy;
+  }
+
+  if (value instanceof Date || Buffer.isBuffer(value)) {
+    return value;
+  }
+  if (value instanceof Error) {
+    return redactError(value);
+  }
+
+  const copy = {};
+  seen.set(value, copy);
+  for (const [key, entry] of Object.entries(value)) {
+    copy[key] = SECRET_KEYS.includes(key.toLowerCase()) && entry ? REDACTED : redact(entry, seen);
+  }
+  return copy;
+}
+
+/**
+ * Scrub secrets from an error in place.
+ *
+ * Redacts the message and stack, replaces axios request details
+ * (config, request) with redacted copies, and follows the cause chain.
+ *
+ * @param {Error} error - Error to scrub
+ * @param {WeakSet} seen - Errors already scrubbed (used internally for cause cycles)
+ * @returns {Error} The same error
+ */
+export function redactError(error, seen = new WeakSet()) {
+  if (!error || typeof error !== 'object' || seen.has(error)) {
+    return error;
+  }
+  seen.add(error);
+
+  if (typeof error.message === 'string') {
+    error.message = redactString(error.message);
+  }
+  if (typeof error.stack === 'string') {
+    error.stack = redactString(error.stack);
+  }
+
+  if (error.config) {
+    error.config = redactRequestConfig(error.config);
+  }
+  if (error.request) {
+    error.request = redactRequest(error.request);
+  }
+  if (error.response?.config) {
+    error.response.config = redactRequestConfig(error.response.config);
+  }
+  if (error.response?.request) {
+    error.response.request = redactRequest(error.response.request);
+  }
+
+  if (error.cause) {
+    redactError(error.cause, seen);
+  }
+
+  return error;
+}
+
+/**
+ * Redact an axios request config, keeping its shape.
+ *
+ * Agents and functions are dropped rather than copied.
+ *
+ * @param {Object} config - Axios request config
+ * @returns {Object} Redacted config
+ * @private
+ */
+function redactRequestConfig(config) {
+  const { httpAgent, httpsAgent, adapter, transformRequest, transformResponse, validateStatus, ...rest } = config;
+  return redact(rest);
+}
+
+/**
+ * Summarize a raw request object without its secrets.
+ *
+ * The ClientRequest axios attaches holds the full request path and socket,
+ * so only the method and a redacted path are kept.
+ *
+ * @param {Object} request - Request object from an axios error or response
+ * @returns {Object} Object with 'method' and 'path'
+ * @private
+ */
+function redactRequest(request) {
+  return { method: request.method, path: redactString(request.path) };
+}
+
+/**
+ * Winston format that redacts the message and every field of a log entry.
+ *
+ * Nested objects are replaced with redacted copies (see redact()), so
+ * metadata such as { params: { token } } never reaches a transport.
+ *
+ * @returns {Object} Winston format
+ *
+ * @example
+ * winston.createLogger({
+ *   format: winston.format.combine(redactFormat(), winston.format.simple())
+ * });
+ */
+export const redactFormat = winston.format(info => {
+  for (const key of Object.keys(info)) {
+    if (typeof info[key] === 'string') {
+      info[key] = redactString(info[key]);
+    } else if (info[key] instanceof Error) {
+      redactError(info[key]);
+    } else if (info[key] !== null && typeof info[key] === 'object') {
+      info[key] = redact(info[key]);
+    }
+  }
+  return info;
+});
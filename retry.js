@@ -0,0 +1,170 @@
+/**
+ * Trefle Retry Policy
+ *
+ * Decides whether a failed request should be retried and how long to wait
+ * before the next attempt. Uses exponential backoff with jitter and honors
+ * `Retry-After` headers sent with 429 and 503 responses.
+ *
+ * Only idempotent GET requests are retried by default; POST requests (such as
+ * reportPlant/reportSpecies) are retried only when `retryNonIdempotent` is set.
+ */
+
+// HTTP status codes that indicate a transient failure
+export const DEFAULT_RETRY_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+// Network error codes that indicate a transient failure
+export const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ERR_NETWORK'
+];
+
+// Default retry policy
+export const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  maxRetryAfter: 60000,
+  statusCodes: DEFAULT_RETRY_STATUS_CODES,
+  retryNonIdempotent: false
+};
+
+/**
+ * Build a complete retry policy from user options.
+ *
+ * @param {Object|false} options - Retry options, or false to disable retries
+ * @param {number} options.maxAttempts - Total attempts including the first request (default: 3)
+ * @param {number} options.baseDelay - Backoff delay before the first retry in ms (default: 500)
+ * @param {number} options.maxDelay - Upper bound for computed backoff delays in ms (default: 30000)
+ * @param {number} options.maxRetryAfter - Longest Retry-After delay to honor in ms (default: 60000)
+ * @param {Array<number>} options.statusCodes - HTTP status codes to retry
+ * @param {boolean} options.retryNonIdempotent - Also retry POST requests (default: false)
+ * @returns {Object} Retry policy with all fields set
+ *
+ * @throws {Error} If maxAttempts is not a positive integer
+ */
+export function normalizeRetryOptions(options = {}) {
+  if (options === false) {
+    return { ...DEFAULT_RETRY_OPTIONS, maxAttempts: 1 };
+  }
+
+  const policy = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+    throw new Error(`maxAttempts must be a positive integer, got ${policy.maxAttempts}`);
+  }
+
+  return policy;
+}
+
+/**
+ * Parse a Retry-After header value.
+ *
+ * @param {string|number} value - Header value, either delay-seconds or an HTTP date
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {number|null} Delay in milliseconds, or null if the header is missing or invalid
+ *
+ * @example
+ * parseRetryAfter('120');                           // 120000
+ * parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT'); // ms until that date
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return seconds >= 0 ? Math.round(seconds * 1000) : null;
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+
+  return Math.max(0, date - now);
+}
+
+/**
+ * Compute an exponential backoff delay with jitter.
+ *
+ * Half of the exponential delay is fixed and half is random, so retries
+ * from many clients spread out without collapsing to zero.
+ *
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy from normalizeRetryOptions()
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoff(attempt, policy) {
+  const exponential = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * Decide whether a failed request should be retried.
+ *
+ * @param {Error} error - Error thrown by the HTTP request
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {string} method - HTTP method of the request
+ * @param {Object} policy - Retry policy from normalizeRetryOptions()
+ * @returns {number|null} Delay in ms before the next attempt, or null to give up
+ */
+export function getRetryDelay(error, attempt, method, policy) {
+  if (attempt >= policy.maxAttempts) {
+    return null;
+  }
+
+  if (method.toUpperCase() !== 'GET' && !policy.retryNonIdempotent) {
+    return null;
+  }
+
+  const response = error.response;
+
+  if (!response) {
+    // Only transport failures are retried; programming errors are not
+    return RETRYABLE_ERROR_CODES.includes(error.code) ? computeBackoff(attempt, policy) : null;
+  }
+
+  if (!policy.statusCodes.includes(response.status)) {
+    return null;
+  }
+
+  const retryAfter = parseRetryAfter(response.headers?.['retry-after']);
+  if (retryAfter !== null) {
+    return retryAfter <= policy.maxRetryAfter ? retryAfter : null;
+  }
+
+  return computeBackoff(attempt, policy);
+}
+
+/**
+ * Wait for the given number of milliseconds.
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional signal that cuts the wait short
+ * @returns {Promise<void>} Resolves after the delay; rejects with signal.reason if aborted
+ */
+export function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
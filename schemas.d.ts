@@ -0,0 +1,96 @@
+/**
+ * Trefle Response Schemas
+ */
+
+export type ValidationMode = 'off' | 'report' | 'strict';
+
+export const VALIDATION_MODES: ValidationMode[];
+
+/**
+ * Runtime schema for a value.
+ */
+export interface Schema {
+  type: 'string' | 'integer' | 'number' | 'boolean' | 'object' | 'array' | 'any';
+  nullable?: boolean;
+  optional?: boolean;
+  /** Known fields of an object */
+  fields?: Record<string, Schema>;
+  /** Schema of every value of an object used as a map */
+  values?: Schema;
+  /** Schema of every array item */
+  items?: Schema;
+}
+
+export type SchemaName =
+  | 'kingdom'
+  | 'subkingdom'
+  | 'division'
+  | 'divisionClass'
+  | 'divisionOrder'
+  | 'family'
+  | 'genus'
+  | 'distribution'
+  | 'plant'
+  | 'plantDetail'
+  | 'species'
+  | 'speciesDetail'
+  | 'correction';
+
+export const SCHEMAS: Readonly<Record<SchemaName, Schema>>;
+
+/**
+ * A field that does not match its schema.
+ */
+export interface SchemaIssue {
+  /** Field path, with '[]' for array items and '*' for map values (e.g. 'data[].main_species') */
+  path: string;
+  expected: Schema['type'];
+  /** Type received: 'undefined', 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object' */
+  received: string;
+  /** Occurrences of the issue in the validated value */
+  count: number;
+}
+
+export interface SchemaDriftField {
+  schema: SchemaName;
+  expected: Schema['type'];
+  /** Occurrences by received type */
+  received: Record<string, number>;
+  count: number;
+  firstSeen: string;
+  lastSeen: string;
+}
+
+export interface SchemaDriftReport {
+  /** ISO timestamp of the last reset */
+  since: string;
+  mode: ValidationMode;
+  /** Responses checked */
+  validated: number;
+  /** Responses with issues */
+  invalid: number;
+  /** Drifted fields keyed by endpoint route (e.g. 'plants/:id') and field path */
+  fields: Record<string, Record<string, SchemaDriftField>>;
+}
+
+export function getResponseSchema(endpoint: string): { name: SchemaName; route: string; schema: Schema } | null;
+export function describeType(value: unknown): string;
+export function validate(value: unknown, schema: Schema, path?: string): SchemaIssue[];
+export function validateResponse(endpoint: string, response: unknown): { schema: SchemaName | null; issues: SchemaIssue[] };
+export function formatIssues(issues: SchemaIssue[], limit?: number): string;
+
+/**
+ * Validates responses and collects schema drift per endpoint route and field.
+ */
+export class SchemaValidator {
+  constructor(options?: { mode?: ValidationMode });
+  mode: ValidationMode;
+  reset(): void;
+  validate(endpoint: string, response: unknown): {
+    schema: SchemaName | null;
+    route: string | null;
+    issues: SchemaIssue[];
+    newIssues: SchemaIssue[];
+  };
+  getReport(): SchemaDriftReport;
+}
@@ -0,0 +1,603 @@
+/**
+ * Trefle Response Schemas
+ *
+ * Runtime schemas for the entities returned by the Trefle API, used to detect
+ * upstream shape changes (a missing main_species, null where an object used to
+ * be) before they turn into undefined fields in flattened data.
+ *
+ * Schemas describe the fields this package relies on; extra fields are
+ * ignored. Issue paths use '[]' for array items and '*' for map values, so the
+ * same field drifting in every record of a page is reported once
+ * (e.g. 'data[].main_species.growth.ph_minimum').
+ *
+ * @example
+ * const { schema, issues } = validateResponse('plants/123', await api.getPlant(123));
+ * // schema: 'plantDetail'
+ * // issues: [{ path: 'data.main_species', expected: 'object', received: 'null', count: 1 }]
+ */
+
+import { normalizeEndpoint } from './metrics.js';
+
+// Validation modes accepted by TrefleAPI and SchemaValidator
+export const VALIDATION_MODES = ['off', 'report', 'strict'];
+
+// ==================== SCHEMA BUILDERS ====================
+
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+
+/**
+ * Allow null for a schema.
+ *
+ * @param {Object} schema - Field schema
+ * @returns {Object} Nullable schema
+ * @private
+ */
+function nullable(schema) {
+  return { ...schema, nullable: true };
+}
+
+/**
+ * Allow a field to be absent.
+ *
+ * @param {Object} schema - Field schema
+ * @returns {Object} Optional schema
+ * @private
+ */
+function optional(schema) {
+  return { ...schema, optional: true };
+}
+
+/**
+ * Object with known fields.
+ *
+ * @param {Object} fields - Field schemas by name
+ * @returns {Object} Object schema
+ * @private
+ */
+function object(fields) {
+  return { type: 'object', fields };
+}
+
+/**
+ * Object used as a map, every value matching one schema.
+ *
+ * @param {Object} values - Schema for each value
+ * @returns {Object} Map schema
+ * @private
+ */
+function mapOf(values) {
+  return { type: 'object', values };
+}
+
+/**
+ * Array with every item matching one schema.
+ *
+ * @param {Object} items - Schema for each item
+ * @returns {Object} Array schema
+ * @private
+ */
+function arrayOf(items) {
+  return { type: 'array', items };
+}
+
+// ==================== ENTITY SCHEMAS ====================
+
+const recordLinks = object({ self: string });
+
+const measurement = object({
+  cm: optional(nullable(number)),
+  mm: optional(nullable(number))
+});
+
+const temperature = object({
+  deg_f: nullable(number),
+  deg_c: nullable(number)
+});
+
+const kingdom = object({ id: integer, name: string, slug: string, links: recordLinks });
+const subkingdom = object({ ...kingdom.fields, kingdom: optional(kingdom) });
+const division = object({ ...kingdom.fields, subkingdom: optional(subkingdom) });
+const divisionClass = object({ ...kingdom.fields, division: optional(division) });
+const divisionOrder = object({ ...kingdom.fields, division_class: optional(divisionClass) });
+const family = object({
+  ...kingdom.fields,
+  common_name: nullable(string),
+  division_order: optional(nullable(divisionOrder))
+});
+const genus = object({ ...kingdom.fields, family: optional(family) });
+
+const distribution = object({
+  ...kingdom.fields,
+  tdwg_code: string,
+  tdwg_level: integer,
+  species_count: integer
+});
+
+const listedSpecies = object({
+  id: integer,
+  common_name: nullable(string),
+  slug: string,
+  scientific_name: string,
+  year: nullable(integer),
+  bibliography: nullable(string),
+  author: nullable(string),
+  status: string,
+  rank: string,
+  family_common_name: nullable(string),
+  genus_id: integer,
+  image_url: nullable(string),
+  synonyms: arrayOf(string),
+  genus: string,
+  family: string,
+  links: recordLinks
+});
+
+const speciesImage = object({ id: integer, image_url: string, copyright: nullable(string) });
+
+const source = object({
+  id: string,
+  name: string,
+  url: nullable(string),
+  citation: nullable(string),
+  last_update: string
+});
+
+const speciesDetail = object({
+  ...listedSpecies.fields,
+  observations: nullable(string),
+  vegetable: nullable(boolean),
+  duration: nullable(arrayOf(string)),
+  edible_part: nullable(arrayOf(string)),
+  edible: nullable(boolean),
+  common_names: mapOf(arrayOf(string)),
+  distribution: mapOf(arrayOf(string)),
+  distributions: mapOf(arrayOf(distribution)),
+  images: mapOf(arrayOf(speciesImage)),
+  flower: object({
+    color: nullable(arrayOf(string)),
+    conspicuous: nullable(boolean)
+  }),
+  foliage: object({
+    texture: nullable(string),
+    color: nullable(arrayOf(string)),
+    leaf_retention: nullable(boolean)
+  }),
+  fruit_or_seed: object({
+    conspicuous: nullable(boolean),
+    color: nullable(arrayOf(string)),
+    shape: nullable(string),
+    seed_persistence: nullable(boolean)
+  }),
+  specifications: object({
+    ligneous_type: nullable(string),
+    growth_form: nullable(string),
+    growth_habit: nullable(string),
+    growth_rate: nullable(string),
+    average_height: measurement,
+    maximum_height: measurement,
+    nitrogen_fixation: nullable(string),
+    shape_and_orientation: nullable(string),
+    toxicity: nullable(string)
+  }),
+  growth: object({
+    description: nullable(string),
+    sowing: nullable(string),
+    days_to_harvest: nullable(number),
+    row_spacing: measurement,
+    spread: measurement,
+    ph_maximum: nullable(number),
+    ph_minimum: nullable(number),
+    light: nullable(number),
+    atmospheric_humidity: nullable(number),
+    growth_months: nullable(arrayOf(string)),
+    bloom_months: nullable(arrayOf(string)),
+    fruit_months: nullable(arrayOf(string)),
+    minimum_precipitation: measurement,
+    maximum_precipitation: measurement,
+    minimum_root_depth: measurement,
+    minimum_temperature: temperature,
+    maximum_temperature: temperature,
+    soil_nutriments: nullable(number),
+    soil_salinity: nullable(number),
+    soil_texture: nullable(number),
+    soil_humidity: nullable(number)
+  }),
+  sources: arrayOf(source),
+  synonyms: arrayOf(object({ id: integer, name: string, author: nullable(string) })),
+  genus,
+  family
+});
+
+const plantDetail = object({
+  id: integer,
+  common_name: nullable(string),
+  slug: string,
+  scientific_name: string,
+  main_species_id: integer,
+  image_url: nullable(string),
+  year: nullable(integer),
+  bibliography: nullable(string),
+  author: nullable(string),
+  family_common_name: nullable(string),
+  genus_id: integer,
+  observations: nullable(string),
+  vegetable: nullable(boolean),
+  links: recordLinks,
+  main_species: speciesDetail,
+  genus,
+  family,
+  species: arrayOf(listedSpecies),
+  subspecies: arrayOf(listedSpecies),
+  varieties: arrayOf(listedSpecies),
+  hybrids: arrayOf(listedSpecies),
+  forms: arrayOf(listedSpecies),
+  subvarieties: arrayOf(listedSpecies),
+  sources: arrayOf(source)
+});
+
+const correction = object({
+  id: integer,
+  record_type: string,
+  record_id: integer,
+  user_id: nullable(integer),
+  notes: nullable(string),
+  source_type: nullable(string),
+  source_reference: nullable(string),
+  change_type: nullable(string),
+  change_status: string,
+  change_notes: nullable(string),
+  accepted_by: nullable(integer),
+  correction: nullable(mapOf({ type: 'any' })),
+  created_at: string,
+  updated_at: string
+});
+
+/**
+ * Entity schemas by name. Listed plants share the listed species schema.
+ */
+export const SCHEMAS = Object.freeze({
+  kingdom,
+  subkingdom,
+  division,
+  divisionClass,
+  divisionOrder,
+  family,
+  genus,
+  distribution,
+  plant: listedSpecies,
+  plantDetail,
+  species: listedSpecies,
+  speciesDetail,
+  correction
+});
+
+// ==================== RESPONSE SCHEMAS ====================
+
+const collectionEnvelope = {
+  links: object({
+    self: string,
+    first: string,
+    last: optional(string),
+    next: optional(string),
+    prev: optional(string)
+  }),
+  meta: object({ total: integer })
+};
+
+/**
+ * Endpoint routes (see normalizeEndpoint() in metrics.js) mapped to
+ * [response kind, entity schema name].
+ */
+const RESPONSE_ROUTES = {
+  'kingdoms': ['collection', 'kingdom'],
+  'kingdoms/:id': ['record', 'kingdom'],
+  'subkingdoms': ['collection', 'subkingdom'],
+  'subkingdoms/:id': ['record', 'subkingdom'],
+  'divisions': ['collection', 'division'],
+  'divisions/:id': ['record', 'division'],
+  'division_classes': ['collection', 'divisionClass'],
+  'division_classes/:id': ['record', 'divisionClass'],
+  'division_orders': ['collection', 'divisionOrder'],
+  'division_orders/:id': ['record', 'divisionOrder'],
+  'families': ['collection', 'family'],
+  'families/:id': ['record', 'family'],
+  'genus': ['collection', 'genus'],
+  'genus/:id': ['record', 'genus'],
+  'genus/:id/plants': ['collection', 'plant'],
+  'plants': ['collection', 'plant'],
+  'plants/search': ['collection', 'plant'],
+  'plants/:id': ['record', 'plantDetail'],
+  'plants/:id/report': ['record', 'correction'],
+  'species': ['collection', 'species'],
+  'species/search': ['collection', 'species'],
+  'species/:id': ['record', 'speciesDetail'],
+  'species/:id/report': ['record', 'correction'],
+  'distributions': ['collection', 'distribution'],
+  'distributions/:id': ['record', 'distribution'],
+  'distributions/:id/plants': ['collection', 'plant'],
+  'corrections': ['collection', 'correction'],
+  'corrections/:id': ['record', 'correction'],
+  'corrections/species/:id': ['collection', 'correction']
+};
+
+/**
+ * Look up the schema of an endpoint's response.
+ *
+ * @param {string} endpoint - API endpoint path (e.g. 'plants/123')
+ * @returns {Object|null} Object with 'name' (entity schema name), 'route' and 'schema' (response
+ *                        schema), or null for endpoints without a schema
+ */
+export function getResponseSchema(endpoint) {
+  const route = normalizeEndpoint(endpoint);
+  const entry = RESPONSE_ROUTES[route];
+  if (!entry) {
+    return null;
+  }
+
+  const [kind, name] = entry;
+  const schema = kind === 'collection'
+    ? object({ data: arrayOf(SCHEMAS[name]), ...collectionEnvelope })
+    : object({ data: SCHEMAS[name], meta: optional(object({})) });
+
+  return { name, route, schema };
+}
+
+// ==================== VALIDATION ====================
+
+/**
+ * Describe the type of a value for issue messages.
+ *
+ * @param {any} value - Value to describe
+ * @returns {string} 'undefined', 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+export function describeType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema type.
+ *
+ * @param {any} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean} True if the value has the type
+ * @private
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'any':
+      return true;
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {any} value - Value to validate
+ * @param {Object} schema - Schema (see SCHEMAS and getResponseSchema())
+ * @param {string} path - Path of the value, used as the prefix of issue paths
+ * @returns {Array<Object>} Issues with 'path', 'expected', 'received' and 'count' (occurrences of
+ *                          the same issue, e.g. across the records of a page); empty if valid
+ *
+ * @example
+ * validate({ id: 1, name: null }, SCHEMAS.kingdom);
+ * // [{ path: 'name', expected: 'string', received: 'null', count: 1 }, ...]
+ */
+export function validate(value, schema, path = '') {
+  const issues = new Map();
+  collectIssues(value, schema, path, issues);
+  return [...issues.values()];
+}
+
+/**
+ * Add the issues of a value to an issue map keyed by path.
+ *
+ * @param {any} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value
+ * @param {Map} issues - Issues found so far
+ * @private
+ */
+function collectIssues(value, schema, path, issues) {
+  if (value === undefined && schema.optional) {
+    return;
+  }
+  if (value === null && schema.nullable) {
+    return;
+  }
+
+  if (!matchesType(value, schema.type)) {
+    const existing = issues.get(path);
+    if (existing) {
+      existing.count++;
+    } else {
+      issues.set(path, { path, expected: schema.type, received: describeType(value), count: 1 });
+    }
+    return;
+  }
+
+  const join = key => (path ? `${path}.${key}` : key);
+
+  if (schema.fields) {
+    for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+      collectIssues(value[key], fieldSchema, join(key), issues);
+    }
+  }
+  if (schema.values) {
+    for (const entry of Object.values(value)) {
+      collectIssues(entry, schema.values, join('*'), issues);
+    }
+  }
+  if (schema.items) {
+    for (const item of value) {
+      collectIssues(item, schema.items, `${path}[]`, issues);
+    }
+  }
+}
+
+/**
+ * Validate an API response against the schema for its endpoint.
+ *
+ * @param {string} endpoint - API endpoint path the response came from
+ * @param {Object} response - JSON response
+ * @returns {Object} Object with 'schema' (entity schema name, null for endpoints without a
+ *                   schema) and 'issues' (see validate())
+ */
+export function validateResponse(endpoint, response) {
+  const entry = getResponseSchema(endpoint);
+  if (!entry) {
+    return { schema: null, issues: [] };
+  }
+
+  return { schema: entry.name, issues: validate(response, entry.schema) };
+}
+
+/**
+ * Format issues for a log line or error message.
+ *
+ * @param {Array<Object>} issues - Issues from validate()
+ * @param {number} limit - Maximum issues listed before summarizing the rest (default: 3)
+ * @returns {string} Text such as 'data.main_species expected object, received null (+2 more)'
+ */
+export function formatIssues(issues, limit = 3) {
+  const listed = issues
+    .slice(0, limit)
+    .map(issue => `${issue.path || '(response)'} expected ${issue.expected}, received ${issue.received}`)
+    .join('; ');
+
+  return issues.length > limit ? `${listed} (+${issues.length - limit} more)` : listed;
+}
+
+// ==================== DRIFT REPORTING ====================
+
+/**
+ * Validates responses and collects schema drift per endpoint route and field.
+ */
+export class SchemaValidator {
+  /**
+   * Initialize SchemaValidator instance.
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.mode - 'report' to collect drift, 'strict' to also reject
+   *                                invalid responses, or 'off' (default: 'report')
+   *
+   * @throws {Error} If mode is not supported
+   */
+  constructor({ mode = 'report' } = {}) {
+    if (!VALIDATION_MODES.includes(mode)) {
+      throw new Error(`Invalid validation mode: ${mode}. Expected one of: ${VALIDATION_MODES.join(', ')}`);
+    }
+
+    this.mode = mode;
+    this.reset();
+  }
+
+  /**
+   * Clear all collected drift.
+   */
+  reset() {
+    this.startedAt = Date.now();
+    this.validated = 0;
+    this.invalid = 0;
+    this.routes = new Map();
+  }
+
+  /**
+   * Validate a response and record its issues.
+   *
+   * @param {string} endpoint - API endpoint path the response came from
+   * @param {Object} response - JSON response
+   * @returns {Object} Object with 'schema', 'route', 'issues' (see validate()) and 'newIssues'
+   *                   (issues on fields that had not drifted before)
+   */
+  validate(endpoint, response) {
+    if (this.mode === 'off') {
+      return { schema: null, route: null, issues: [], newIssues: [] };
+    }
+
+    const entry = getResponseSchema(endpoint);
+    if (!entry) {
+      return { schema: null, route: null, issues: [], newIssues: [] };
+    }
+
+    const issues = validate(response, entry.schema);
+    const newIssues = [];
+
+    this.validated++;
+    if (issues.length > 0) {
+      this.invalid++;
+    }
+
+    if (!this.routes.has(entry.route)) {
+      this.routes.set(entry.route, new Map());
+    }
+    const fields = this.routes.get(entry.route);
+    const now = new Date().toISOString();
+
+    for (const issue of issues) {
+      let field = fields.get(issue.path);
+      if (!field) {
+        field = { schema: entry.name, expected: issue.expected, received: {}, count: 0, firstSeen: now, lastSeen: now };
+        fields.set(issue.path, field);
+        newIssues.push(issue);
+      }
+
+      field.received[issue.received] = (field.received[issue.received] || 0) + issue.count;
+      field.count += issue.count;
+      field.lastSeen = now;
+    }
+
+    return { schema: entry.name, route: entry.route, issues, newIssues };
+  }
+
+  /**
+   * Get the drift collected since the last reset.
+   *
+   * @returns {Object} Report with 'since', 'mode', 'validated' (responses checked), 'invalid'
+   *                   (responses with issues) and 'fields', keyed by endpoint route and then
+   *                   field path, each with 'schema', 'expected', 'received' (counts by
+   *                   received type), 'count', 'firstSeen' and 'lastSeen'
+   */
+  getReport() {
+    const fields = {};
+    for (const [route, routeFields] of this.routes) {
+      if (routeFields.size === 0) {
+        continue;
+      }
+
+      fields[route] = {};
+      for (const [path, field] of routeFields) {
+        fields[route][path] = { ...field, received: { ...field.received } };
+      }
+    }
+
+    return {
+      since: new Date(this.startedAt).toISOString(),
+      mode: this.mode,
+      validated: this.validated,
+      invalid: this.invalid,
+      fields
+    };
+  }
+}
@@ -0,0 +1,241 @@
+/**
+ * Response Cache Tests
+ * Tests for cache keys, memory and filesystem backends, and the TTL/stats wrapper
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach, afterAll } from 'vitest';
+import { existsSync, rmSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import {
+  createCacheKey,
+  MemoryCache,
+  FileCache,
+  ResponseCache,
+  DEFAULT_CACHE_TTL,
+  DEFAULT_CACHE_TTLS
+} from '../cache.js';
+
+const TEST_DIR = join(process.cwd(), 'test-output-cache');
+
+describe('createCacheKey', () => {
+  it('should exclude the token', () => {
+    const key = createCacheKey('plants', { token: 'secret-token', page: 1 });
+    expect(key).toBe('plants?page=1');
+    expect(key).not.toContain('secret-token');
+  });
+
+  it('should ignore parameter order', () => {
+    expect(createCacheKey('plants', { page: 1, q: 'rose' }))
+      .toBe(createCacheKey('plants', { q: 'rose', page: 1 }));
+  });
+
+  it('should distinguish different params', () => {
+    expect(createCacheKey('plants', { page: 1 })).not.toBe(createCacheKey('plants', { page: 2 }));
+  });
+
+  it('should return the endpoint alone when there are no params', () => {
+    expect(createCacheKey('plants/123', { token: 'secret' })).toBe('plants/123');
+  });
+
+  it('should include the base URL when given', () => {
+    expect(createCacheKey('plants', { page: 1 }, 'https://trefle.io/api/v1')).toBe('https://trefle.io/api/v1/plants?page=1');
+    expect(createCacheKey('plants', {}, 'https://staging.example.com/v1'))
+      .not.toBe(createCacheKey('plants', {}, 'https://trefle.io/api/v1'));
+  });
+
+  it('should serialize object params', () => {
+    expect(createCacheKey('plants', { filter: { edible: 'true' } })).toContain('filter=');
+  });
+});
+
+describe('MemoryCache', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should store and return values', async () => {
+    const cache = new MemoryCache();
+    await cache.set('a', { id: 1 }, 1000);
+    expect(await cache.get('a')).toEqual({ id: 1 });
+  });
+
+  it('should return undefined for missing keys', async () => {
+    expect(await new MemoryCache().get('missing')).toBeUndefined();
+  });
+
+  it('should expire values after their TTL', async () => {
+    const cache = new MemoryCache();
+    await cache.set('a', 1, 1000);
+
+    vi.advanceTimersByTime(1000);
+
+    expect(await cache.get('a')).toBeUndefined();
+  });
+
+  it('should evict the least recently used entry when full', async () => {
+    const cache = new MemoryCache({ maxEntries: 2 });
+    await cache.set('a', 1, 1000);
+    await cache.set('b', 2, 1000);
+    await cache.get('a');
+    await cache.set('c', 3, 1000);
+
+    expect(await cache.get('a')).toBe(1);
+    expect(await cache.get('b')).toBeUndefined();
+    expect(await cache.get('c')).toBe(3);
+  });
+
+  it('should not let callers mutate cached values', async () => {
+    const cache = new MemoryCache();
+    const value = { data: [1] };
+    await cache.set('a', value, 1000);
+    value.data.push(2);
+
+    const cached = await cache.get('a');
+    cached.data.push(3);
+
+    expect(await cache.get('a')).toEqual({ data: [1] });
+  });
+
+  it('should delete and clear values', async () => {
+    const cache = new MemoryCache();
+    await cache.set('a', 1, 1000);
+    await cache.set('b', 2, 1000);
+
+    await cache.delete('a');
+    expect(await cache.get('a')).toBeUndefined();
+
+    await cache.clear();
+    expect(await cache.get('b')).toBeUndefined();
+  });
+});
+
+describe('FileCache', () => {
+  afterAll(() => {
+    if (existsSync(TEST_DIR)) {
+      rmSync(TEST_DIR, { recursive: true, force: true });
+    }
+  });
+
+  it('should throw error when directory is not provided', () => {
+    expect(() => new FileCache()).toThrow('Cache directory is required');
+  });
+
+  it('should store values on disk and read them back', async () => {
+    const directory = join(TEST_DIR, 'roundtrip');
+    await new FileCache({ directory }).set('plants/1', { id: 1 }, 60000);
+
+    // A separate instance sees the same entry
+    expect(await new FileCache({ directory }).get('plants/1')).toEqual({ id: 1 });
+    expect(readdirSync(directory).filter(f => f.endsWith('.json'))).toHaveLength(1);
+  });
+
+  it('should not write tokens to disk', async () => {
+    const directory = join(TEST_DIR, 'redacted');
+    await new FileCache({ directory }).set('plants', { links: { next: '/api/v1/plants?page=2&token=abc' } }, 60000);
+
+    const [file] = readdirSync(directory);
+    expect(readFileSync(join(directory, file), 'utf-8')).not.toContain('token=abc');
+  });
+
+  it('should not write the key in plain file names', async () => {
+    const directory = join(TEST_DIR, 'names');
+    await new FileCache({ directory }).set('plants?q=rose', 1, 60000);
+
+    const [file] = readdirSync(directory);
+    expect(file).toMatch(/^[0-9a-f]{64}\.json$/);
+  });
+
+  it('should expire values after their TTL', async () => {
+    const directory = join(TEST_DIR, 'expiry');
+    const cache = new FileCache({ directory });
+    await cache.set('a', 1, -1);
+
+    expect(await cache.get('a')).toBeUndefined();
+    expect(readdirSync(directory)).toHaveLength(0);
+  });
+
+  it('should return undefined for missing or corrupt files', async () => {
+    const directory = join(TEST_DIR, 'corrupt');
+    const cache = new FileCache({ directory });
+    await cache.set('a', 1, 60000);
+    const [file] = readdirSync(directory);
+    writeFileSync(join(directory, file), '{not json');
+
+    expect(await cache.get('a')).toBeUndefined();
+    expect(await cache.get('missing')).toBeUndefined();
+  });
+
+  it('should clear all cached files', async () => {
+    const directory = join(TEST_DIR, 'clear');
+    const cache = new FileCache({ directory });
+    await cache.set('a', 1, 60000);
+    await cache.set('b', 2, 60000);
+
+    await cache.clear();
+
+    expect(readdirSync(directory)).toHaveLength(0);
+  });
+
+  it('should store the entry with its expiry time', async () => {
+    const directory = join(TEST_DIR, 'format');
+    await new FileCache({ directory }).set('a', { id: 1 }, 60000);
+
+    const [file] = readdirSync(directory);
+    const entry = JSON.parse(readFileSync(join(directory, file), 'utf-8'));
+    expect(entry.key).toBe('a');
+    expect(entry.value).toEqual({ id: 1 });
+    expect(entry.expiresAt).toBeGreaterThan(Date.now());
+  });
+});
+
+describe('ResponseCache', () => {
+  it('should default to a memory store', () => {
+    expect(new ResponseCache().store).toBeInstanceOf(MemoryCache);
+  });
+
+  it('should pick TTLs by endpoint resource', () => {
+    const cache = new ResponseCache({ ttl: 1000, ttls: { plants: 5000 } });
+    expect(cache.getTtl('plants/123')).toBe(5000);
+    expect(cache.getTtl('genus/1')).toBe(DEFAULT_CACHE_TTLS.genus);
+    expect(cache.getTtl('species/1')).toBe(1000);
+  });
+
+  it('should use the plants TTL for scoped plant lists', () => {
+    const cache = new ResponseCache({ ttl: 1000, ttls: { plants: 5000 } });
+    expect(cache.getTtl('distributions/fra/plants')).toBe(5000);
+    expect(cache.getTtl('genus/1/plants')).toBe(5000);
+    expect(cache.getTtl('genus/1/species')).toBe(1000);
+  });
+
+  it('should use the default TTL for unknown resources', () => {
+    expect(new ResponseCache().getTtl('species')).toBe(DEFAULT_CACHE_TTL);
+  });
+
+  it('should not store responses with a zero TTL', async () => {
+    const cache = new ResponseCache({ ttls: { corrections: 0 } });
+    await cache.set('corrections', 'corrections', { data: [] });
+    expect(await cache.get('corrections')).toBeUndefined();
+    expect(cache.getStats().writes).toBe(0);
+  });
+
+  it('should track hits, misses, writes and bypasses', async () => {
+    const cache = new ResponseCache();
+    await cache.get('plants/1');
+    await cache.set('plants/1', 'plants/1', { id: 1 });
+    await cache.get('plants/1');
+    cache.recordBypass();
+
+    expect(cache.getStats()).toEqual({ hits: 1, misses: 1, writes: 1, bypasses: 1, hitRate: 0.5 });
+  });
+
+  it('should reset statistics', async () => {
+    const cache = new ResponseCache();
+    await cache.get('a');
+    cache.resetStats();
+    expect(cache.getStats().misses).toBe(0);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * CLI Helpers Tests
+ * Tests for query flag parsing and query descriptions used by the CLI
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseQueryFlags, describeQuery, querySlug, directoryName } from '../cli-helpers.js';
+import { TrefleValidationError } from '../errors.js';
+
+describe('parseQueryFlags', () => {
+  it('should parse and normalize every flag', () => {
+    const options = parseQueryFlags({
+      filter: ['edible=true', 'flower_color=Red,white'],
+      filterNot: ['toxicity=high', 'common_name'],
+      range: ['maximum_height=100,500'],
+      order: ['common_name', 'year:DESC']
+    });
+
+    expect(options).toEqual({
+      filter: { edible: 'true', flower_color: ['red', 'white'] },
+      filter_not: { toxicity: 'high', common_name: null },
+      range: { maximum_height: [100, 500] },
+      order: { common_name: 'asc', year: 'desc' }
+    });
+  });
+
+  it('should return no options without flags', () => {
+    expect(parseQueryFlags()).toEqual({});
+  });
+
+  it('should reject malformed entries', () => {
+    expect(() => parseQueryFlags({ filter: ['edible'] })).toThrow("Invalid --filter 'edible'. Expected field=value");
+    expect(() => parseQueryFlags({ filterNot: ['toxicity='] })).toThrow('Expected field or field=value');
+    expect(() => parseQueryFlags({ range: ['maximum_height=100'] })).toThrow('Expected field=min,max');
+    expect(() => parseQueryFlags({ order: ['year:desc:asc'] })).toThrow('Expected field or field:asc|desc');
+  });
+
+  it('should validate fields and values like the builder', () => {
+    expect(() => parseQueryFlags({ filter: ['ligneus_type=tree'] })).toThrow(TrefleValidationError);
+    expect(() => parseQueryFlags({ filter: ['edible=yes'] })).toThrow("Field 'edible' must be a boolean");
+    expect(() => parseQueryFlags({ range: ['common_name=a,b'] })).toThrow('cannot be used in a range');
+    expect(() => parseQueryFlags({ order: ['year:up'] })).toThrow("Invalid sort direction 'up'");
+  });
+});
+
+describe('describeQuery', () => {
+  it('should describe query options', () => {
+    const options = parseQueryFlags({
+      filter: ['flower_color=red,white'],
+      filterNot: ['common_name'],
+      range: ['maximum_height=100,500'],
+      order: ['year:desc']
+    });
+
+    expect(describeQuery(options)).toBe(
+      'filter flower_color=red,white; exclude common_name; range maximum_height=100..500; order year:desc'
+    );
+    expect(describeQuery({})).toBe('');
+  });
+});
+
+describe('querySlug', () => {
+  it('should build a file-name-safe slug', () => {
+    const options = parseQueryFlags({
+      filter: ['common_name=Red oak/tree'],
+      filterNot: ['toxicity=high,medium', 'year'],
+      order: ['year:desc']
+    });
+
+    expect(querySlug(options)).toBe('common_name-Red-oak-tree_not-toxicity-high+medium_not-year_by-year-desc');
+    expect(querySlug({})).toBe('');
+  });
+
+  it('should shorten long slugs with a hash', () => {
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'].join(',');
+    const long = parseQueryFlags({ filter: [`bloom_months=${months}`, `fruit_months=${months}`] });
+    const other = parseQueryFlags({ filter: [`bloom_months=${months}`, `growth_months=${months}`] });
+
+    expect(querySlug(long).length).toBeLessThanOrEqual(80);
+    expect(querySlug(long)).toMatch(/^bloom_months-jan\+feb.*-[0-9a-f]{8}$/);
+    expect(querySlug(long)).not.toBe(querySlug(other));
+  });
+});
+
+describe('directoryName', () => {
+  it('should keep plain IDs and slugs', () => {
+    expect(directoryName(123)).toBe('123');
+    expect(directoryName('quercus-robur_x')).toBe('quercus-robur_x');
+  });
+
+  it('should give different IDs different names', () => {
+    const ids = ['a.b', 'a_b', 'a/b', 'a b', 'a%2Fb', 'a-b'];
+    const names = ids.map(directoryName);
+
+    expect(new Set(names).size).toBe(ids.length);
+    expect(names.map(name => decodeURIComponent(name))).toEqual(ids);
+  });
+
+  it('should never point outside the parent directory', () => {
+    expect(directoryName('..')).toBe('%2E%2E');
+    expect(directoryName('../etc')).toBe('%2E%2E%2Fetc');
+    expect(directoryName('a\\b')).toMatch(/^[A-Za-z0-9_%-]+$/);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Client Token Tests
+ * Tests for client JWT expiry parsing and refresh
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  ClientTokenManager,
+  decodeJwtExpiry,
+  parseExpiration,
+  DEFAULT_CLIENT_TOKEN_TTL
+} from '../client-token.js';
+import { redactString } from '../redact.js';
+
+function createJwt(payload) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}.signature`;
+}
+
+describe('decodeJwtExpiry', () => {
+  it('should read the exp claim in ms', () => {
+    expect(decodeJwtExpiry(createJwt({ exp: 1700000000 }))).toBe(1700000000000);
+  });
+
+  it('should decode unpadded payloads with base64url characters', () => {
+    // '?' and '>' encode to '_' and '-' in base64url
+    const jwt = createJwt({ exp: 1700000000, note: '???>>>' });
+    expect(jwt.split('.')[1]).toMatch(/[-_]/);
+    expect(decodeJwtExpiry(jwt)).toBe(1700000000000);
+  });
+
+  it('should return null for tokens without a readable exp', () => {
+    expect(decodeJwtExpiry(createJwt({ sub: 'user' }))).toBeNull();
+    expect(decodeJwtExpiry('not-a-jwt')).toBeNull();
+    expect(decodeJwtExpiry('a.%%%.c')).toBeNull();
+    expect(decodeJwtExpiry(null)).toBeNull();
+  });
+});
+
+describe('parseExpiration', () => {
+  it('should parse the Trefle expiration format as UTC', () => {
+    expect(parseExpiration('01-12-2020 19:14')).toBe(Date.UTC(2020, 0, 12, 19, 14));
+  });
+
+  it('should parse ISO dates', () => {
+    expect(parseExpiration('2020-01-12T19:14:00Z')).toBe(Date.UTC(2020, 0, 12, 19, 14));
+  });
+
+  it('should return null for unparseable values', () => {
+    expect(parseExpiration('soon')).toBeNull();
+    expect(parseExpiration(undefined)).toBeNull();
+  });
+});
+
+describe('ClientTokenManager', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should validate options', () => {
+    expect(() => new ClientTokenManager()).toThrow('claim must be a function');
+    expect(() => new ClientTokenManager({ claim: vi.fn(), refreshMargin: -1 })).toThrow('refreshMargin');
+  });
+
+  it('should claim once and reuse the token until the refresh margin', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(Date.UTC(2024, 0, 1));
+    const exp = Date.UTC(2024, 0, 1, 1) / 1000;
+    const claim = vi.fn()
+      .mockResolvedValueOnce({ token: createJwt({ exp, n: 1 }) })
+      .mockResolvedValueOnce({ token: createJwt({ exp: exp + 3600, n: 2 }) });
+    const manager = new ClientTokenManager({ claim, refreshMargin: 60000 });
+
+    const first = await manager.get();
+    expect(await manager.get()).toBe(first);
+    expect(claim).toHaveBeenCalledTimes(1);
+
+    vi.setSystemTime(exp * 1000 - 59000);
+    const second = await manager.get();
+
+    expect(second).not.toBe(first);
+    expect(claim).toHaveBeenCalledTimes(2);
+    expect(manager.getStatus()).toEqual({
+      valid: true,
+      expiresAt: new Date((exp + 3600) * 1000).toISOString(),
+      claims: 2
+    });
+  });
+
+  it('should keep a JWT for half its lifetime when refreshMargin exceeds it', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(Date.UTC(2024, 0, 1));
+    const exp = Date.UTC(2024, 0, 1, 0, 10) / 1000;
+    const claim = vi.fn().mockResolvedValue({ token: createJwt({ exp }) });
+    const manager = new ClientTokenManager({ claim, refreshMargin: 3600000 });
+
+    await manager.get();
+    await manager.get();
+    expect(claim).toHaveBeenCalledTimes(1);
+
+    vi.setSystemTime(Date.UTC(2024, 0, 1, 0, 5));
+    await manager.get();
+    expect(claim).toHaveBeenCalledTimes(2);
+  });
+
+  it('should share one claim between concurrent callers', async () => {
+    const claim = vi.fn().mockResolvedValue({ token: createJwt({ exp: Date.now() / 1000 + 3600 }) });
+    const manager = new ClientTokenManager({ claim });
+
+    const tokens = await Promise.all([manager.get(), manager.get(), manager.get()]);
+
+    expect(new Set(tokens).size).toBe(1);
+    expect(claim).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fall back to the expiration field and then the default lifetime', async () => {
+    const withExpiration = new ClientTokenManager({
+      claim: vi.fn().mockResolvedValue({ token: 'opaque-token-1', expiration: '01-12-2099 19:14' })
+    });
+    const withoutExpiry = new ClientTokenManager({
+      claim: vi.fn().mockResolvedValue({ token: 'opaque-token-2' })
+    });
+
+    await withExpiration.get();
+    const before = Date.now();
+    await withoutExpiry.get();
+
+    expect(withExpiration.expiresAt).toBe(Date.UTC(2099, 0, 12, 19, 14));
+    expect(withoutExpiry.expiresAt).toBeGreaterThanOrEqual(before + DEFAULT_CLIENT_TOKEN_TTL);
+  });
+
+  it('should claim again after invalidate()', async () => {
+    const claim = vi.fn().mockResolvedValue({ token: 'opaque-token-3', expiration: '01-12-2099 19:14' });
+    const manager = new ClientTokenManager({ claim });
+
+    await manager.get();
+    manager.invalidate();
+
+    expect(manager.getStatus()).toEqual({ valid: false, expiresAt: null, claims: 1 });
+    await manager.get();
+    expect(claim).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject claims without a token and retry on the next call', async () => {
+    const claim = vi.fn()
+      .mockResolvedValueOnce({ expiration: '01-12-2099 19:14' })
+      .mockResolvedValueOnce({ token: 'opaque-token-4' });
+    const manager = new ClientTokenManager({ claim });
+
+    await expect(manager.get()).rejects.toThrow('Client token claim did not return a token');
+    await expect(manager.get()).resolves.toBe('opaque-token-4');
+  });
+
+  it('should register claimed tokens as secrets', async () => {
+    const manager = new ClientTokenManager({ claim: vi.fn().mockResolvedValue({ token: 'claimed-jwt-secret' }) });
+
+    await manager.get();
+
+    expect(redactString('sent claimed-jwt-secret')).toBe('sent [REDACTED]');
+  });
+
+  it('should forget replaced and invalidated tokens', async () => {
+    const claim = vi.fn()
+      .mockResolvedValueOnce({ token: 'replaced-jwt-secret', expiration: '01-12-2000 19:14' })
+      .mockResolvedValueOnce({ token: 'current-jwt-secret', expiration: '01-12-2099 19:14' });
+    const manager = new ClientTokenManager({ claim });
+
+    await manager.get();
+    await manager.get();
+    expect(redactString('replaced-jwt-secret current-jwt-secret')).toBe('replaced-jwt-secret [REDACTED]');
+
+    manager.invalidate();
+    expect(redactString('current-jwt-secret')).toBe('current-jwt-secret');
+  });
+});
@@ -4,7 +4,7 @@
  */
 
 import { describe, it, expect, afterEach, beforeEach } from 'vitest';
-import { BASE_URL, RATE_LIMIT, getTrefleToken, validateTokenFormat } from '../config.js';
+import { BASE_URL, RATE_LIMIT, DEFAULT_TIMEOUT, getTrefleToken, validateTokenFormat } from '../config.js';
 
 describe('Configuration Constants', () => {
   describe('BASE_URL', () => {
@@ -38,6 +38,12 @@ describe('Configuration Constants', () => {
       expect(RATE_LIMIT).toBeGreaterThan(0);
     });
   });
+
+  describe('DEFAULT_TIMEOUT', () => {
+    it('should be 30 seconds', () => {
+      expect(DEFAULT_TIMEOUT).toBe(30000);
+    });
+  });
 });
 
 describe('Configuration Functions', () => {
@@ -0,0 +1,160 @@
+/**
+ * Corrections Tests
+ * Tests for correction CSV parsing, the submission ledger and batch submission
+ */
+
+import { describe, it, expect, vi, afterAll } from 'vitest';
+import { existsSync, rmSync, writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import {
+  createSubmission,
+  parseCorrectionRows,
+  readCorrectionsCsv,
+  CorrectionLedger,
+  submitCorrections
+} from '../corrections.js';
+import { TrefleValidationError, TrefleNotFoundError } from '../errors.js';
+
+const TEST_DIR = join(process.cwd(), 'test-output-corrections');
+
+afterAll(() => {
+  if (existsSync(TEST_DIR)) {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  }
+});
+
+function writeTestFile(name, content) {
+  mkdirSync(TEST_DIR, { recursive: true });
+  const filepath = join(TEST_DIR, name);
+  writeFileSync(filepath, content);
+  return filepath;
+}
+
+describe('createSubmission', () => {
+  it('should normalize type, ID and notes', () => {
+    expect(createSubmission('Species', ' 123 ', ' Wrong family ')).toEqual({ type: 'species', id: 123, notes: 'Wrong family' });
+    expect(createSubmission('plant', 'quercus-robur', 'Typo')).toEqual({ type: 'plant', id: 'quercus-robur', notes: 'Typo' });
+  });
+
+  it('should reject invalid submissions', () => {
+    expect(() => createSubmission('genus', 1, 'x')).toThrow("Invalid correction type 'genus'");
+    expect(() => createSubmission('plant', '', 'x')).toThrow('Correction ID cannot be empty');
+    expect(() => createSubmission('plant', 1, '  ')).toThrow('Notes cannot be empty (plant 1)');
+  });
+});
+
+describe('parseCorrectionRows', () => {
+  it('should use the default type for rows without one', () => {
+    const rows = [{ id: '1', notes: 'a' }, { id: '2', notes: 'b', type: 'species' }];
+
+    expect(parseCorrectionRows(rows, { defaultType: 'plant' })).toEqual([
+      { type: 'plant', id: 1, notes: 'a' },
+      { type: 'species', id: 2, notes: 'b' }
+    ]);
+  });
+
+  it('should list every invalid row by CSV line', () => {
+    const rows = [{ id: '1', notes: '' }, { id: '2', notes: 'ok' }, { id: '', notes: 'x' }];
+
+    expect(() => parseCorrectionRows(rows)).toThrow(TrefleValidationError);
+    expect(() => parseCorrectionRows(rows)).toThrow(
+      'Invalid correction rows: line 2: Notes cannot be empty (plant 1); line 4: Correction ID cannot be empty'
+    );
+  });
+});
+
+describe('readCorrectionsCsv', () => {
+  it('should read quoted notes', async () => {
+    const filepath = writeTestFile('batch.csv', 'id,notes,type\n1,"Wrong family, should be Fagaceae",\n2,Typo,species\n');
+
+    expect(await readCorrectionsCsv(filepath)).toEqual([
+      { type: 'plant', id: 1, notes: 'Wrong family, should be Fagaceae' },
+      { type: 'species', id: 2, notes: 'Typo' }
+    ]);
+  });
+
+  it('should require id and notes columns', async () => {
+    const filepath = writeTestFile('bad.csv', 'plant,comment\n1,x\n');
+
+    await expect(readCorrectionsCsv(filepath)).rejects.toThrow("needs 'id' and 'notes' columns");
+  });
+});
+
+describe('CorrectionLedger', () => {
+  it('should require a filepath', () => {
+    expect(() => new CorrectionLedger()).toThrow('Ledger filepath is required');
+  });
+
+  it('should append and load entries', async () => {
+    const ledger = new CorrectionLedger({ filepath: join(TEST_DIR, 'ledger', 'append.jsonl') });
+
+    expect(await ledger.load()).toEqual([]);
+    await ledger.append({ type: 'plant', id: 1, notes: 'a', status: 'submitted', correctionId: 9 });
+    await ledger.append({ type: 'plant', id: 2, notes: 'b', status: 'failed' });
+
+    expect(await ledger.load()).toEqual([
+      { type: 'plant', id: 1, notes: 'a', status: 'submitted', correctionId: 9 },
+      { type: 'plant', id: 2, notes: 'b', status: 'failed' }
+    ]);
+  });
+
+  it('should only skip submissions that were accepted', async () => {
+    const ledger = new CorrectionLedger({ filepath: join(TEST_DIR, 'ledger', 'filter.jsonl') });
+    await ledger.append({ type: 'plant', id: 1, notes: 'a', status: 'submitted' });
+    await ledger.append({ type: 'plant', id: 2, notes: 'b', status: 'failed' });
+
+    const pending = await ledger.filterUnsubmitted([
+      { type: 'plant', id: 1, notes: 'a' },
+      { type: 'plant', id: 1, notes: 'different' },
+      { type: 'species', id: 1, notes: 'a' },
+      { type: 'plant', id: 2, notes: 'b' }
+    ]);
+
+    expect(pending).toEqual([
+      { type: 'plant', id: 1, notes: 'different' },
+      { type: 'species', id: 1, notes: 'a' },
+      { type: 'plant', id: 2, notes: 'b' }
+    ]);
+  });
+
+  it('should report corrupt lines', async () => {
+    const filepath = writeTestFile('corrupt.jsonl', '{"status":"submitted"}\nnot json\n');
+
+    await expect(new CorrectionLedger({ filepath }).load()).rejects.toThrow(`Invalid ledger entry at ${filepath}:2`);
+  });
+});
+
+describe('submitCorrections', () => {
+  it('should submit each correction and record the results', async () => {
+    const api = {
+      reportPlant: vi.fn().mockResolvedValue({ data: { id: 501 } }),
+      reportSpecies: vi.fn().mockRejectedValue(new TrefleNotFoundError('Not found', { statusCode: 404 }))
+    };
+    const ledger = new CorrectionLedger({ filepath: join(TEST_DIR, 'ledger', 'submit.jsonl') });
+    const onResult = vi.fn();
+
+    const { submitted, failed } = await submitCorrections(api, [
+      { type: 'plant', id: 1, notes: 'Wrong family' },
+      { type: 'species', id: 999, notes: 'Typo' }
+    ], { ledger, onResult });
+
+    expect(api.reportPlant).toHaveBeenCalledWith(1, 'Wrong family');
+    expect(api.reportSpecies).toHaveBeenCalledWith(999, 'Typo');
+    expect(submitted).toEqual([
+      { submittedAt: expect.any(String), type: 'plant', id: 1, notes: 'Wrong family', status: 'submitted', correctionId: 501 }
+    ]);
+    expect(failed).toEqual([
+      { submittedAt: expect.any(String), type: 'species', id: 999, notes: 'Typo', status: 'failed', statusCode: 404, error: 'Not found' }
+    ]);
+    expect(await ledger.load()).toEqual([...submitted, ...failed]);
+    expect(onResult).toHaveBeenCalledTimes(2);
+  });
+
+  it('should work without a ledger', async () => {
+    const api = { reportPlant: vi.fn().mockResolvedValue({}) };
+
+    const { submitted } = await submitCorrections(api, [{ type: 'plant', id: 1, notes: 'a' }]);
+
+    expect(submitted[0]).toMatchObject({ status: 'submitted', correctionId: null });
+  });
+});
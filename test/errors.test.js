@@ -0,0 +1,168 @@
+/**
+ * Error Class Tests
+ * Tests for the TrefleError hierarchy and axios error classification
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  TrefleError,
+  TrefleAuthError,
+  TrefleNotFoundError,
+  TrefleRateLimitError,
+  TrefleValidationError,
+  TrefleServerError,
+  TrefleNetworkError,
+  TrefleAbortError,
+  sanitizeParams,
+  isAbortError,
+  createAbortError,
+  createTrefleError
+} from '../errors.js';
+
+function axiosError(status, data = undefined, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data, headers };
+  return error;
+}
+
+describe('TrefleError', () => {
+  it('should carry request details', () => {
+    const error = new TrefleError('Boom', {
+      statusCode: 418,
+      endpoint: 'plants',
+      params: { page: 1 },
+      body: { error: true }
+    });
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toBe('Boom');
+    expect(error.statusCode).toBe(418);
+    expect(error.endpoint).toBe('plants');
+    expect(error.params).toEqual({ page: 1 });
+    expect(error.body).toEqual({ error: true });
+  });
+
+  it('should default details to null', () => {
+    const error = new TrefleError('Boom');
+    expect(error.statusCode).toBeNull();
+    expect(error.endpoint).toBeNull();
+    expect(error.params).toBeNull();
+    expect(error.body).toBeNull();
+  });
+
+  it('should name subclasses after the class', () => {
+    expect(new TrefleNotFoundError('x').name).toBe('TrefleNotFoundError');
+    expect(new TrefleAuthError('x')).toBeInstanceOf(TrefleError);
+  });
+});
+
+describe('sanitizeParams', () => {
+  it('should remove the token', () => {
+    expect(sanitizeParams({ token: 'secret', page: 2 })).toEqual({ page: 2 });
+  });
+
+  it('should not modify the original params', () => {
+    const params = { token: 'secret' };
+    sanitizeParams(params);
+    expect(params.token).toBe('secret');
+  });
+
+  it('should return null for missing params', () => {
+    expect(sanitizeParams(null)).toBeNull();
+  });
+});
+
+describe('createTrefleError', () => {
+  const context = { endpoint: 'plants/1', params: { token: 'secret', page: 1 } };
+
+  it.each([
+    [401, TrefleAuthError],
+    [403, TrefleAuthError],
+    [404, TrefleNotFoundError],
+    [429, TrefleRateLimitError],
+    [400, TrefleValidationError],
+    [422, TrefleValidationError],
+    [500, TrefleServerError],
+    [503, TrefleServerError]
+  ])('should classify HTTP %i', (status, ErrorClass) => {
+    const error = createTrefleError(axiosError(status), context);
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error.statusCode).toBe(status);
+  });
+
+  it('should fall back to TrefleError for other status codes', () => {
+    const error = createTrefleError(axiosError(409), context);
+    expect(error.constructor).toBe(TrefleError);
+  });
+
+  it('should classify errors without a response as network errors', () => {
+    const cause = new Error('socket hang up');
+    const error = createTrefleError(cause, context);
+
+    expect(error).toBeInstanceOf(TrefleNetworkError);
+    expect(error.statusCode).toBeNull();
+    expect(error.cause).toBe(cause);
+  });
+
+  it('should classify cancelled requests as abort errors', () => {
+    const cause = new Error('canceled');
+    cause.code = 'ERR_CANCELED';
+
+    expect(createTrefleError(cause, context)).toBeInstanceOf(TrefleAbortError);
+  });
+
+  it('should use the Trefle error message and body', () => {
+    const body = { error: true, message: 'Record not found' };
+    const error = createTrefleError(axiosError(404, body), context);
+
+    expect(error.message).toBe('Record not found');
+    expect(error.body).toEqual(body);
+  });
+
+  it('should record endpoint and sanitized params', () => {
+    const error = createTrefleError(axiosError(404), context);
+
+    expect(error.endpoint).toBe('plants/1');
+    expect(error.params).toEqual({ page: 1 });
+  });
+
+  it('should parse Retry-After for rate limit errors', () => {
+    const error = createTrefleError(axiosError(429, undefined, { 'retry-after': '30' }), context);
+    expect(error.retryAfter).toBe(30000);
+  });
+
+  it('should return TrefleErrors unchanged', () => {
+    const original = new TrefleValidationError('Bad input');
+    expect(createTrefleError(original, context)).toBe(original);
+  });
+});
+
+describe('isAbortError', () => {
+  it('should recognise axios cancellations and AbortErrors', () => {
+    const canceled = new Error('canceled');
+    canceled.code = 'ERR_CANCELED';
+
+    expect(isAbortError(canceled)).toBe(true);
+    expect(isAbortError(AbortSignal.abort().reason)).toBe(true);
+  });
+
+  it('should reject other errors', () => {
+    expect(isAbortError(new Error('socket hang up'))).toBe(false);
+    expect(isAbortError(null)).toBe(false);
+  });
+});
+
+describe('createAbortError', () => {
+  it('should carry the endpoint, sanitized params and abort reason', () => {
+    const controller = new AbortController();
+    const reason = new Error('client disconnected');
+    controller.abort(reason);
+
+    const error = createAbortError(controller.signal, { endpoint: 'plants', params: { token: 'secret', page: 3 } });
+
+    expect(error).toBeInstanceOf(TrefleAbortError);
+    expect(error.message).toBe('Request to plants was aborted');
+    expect(error.params).toEqual({ page: 3 });
+    expect(error.cause).toBe(reason);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Logger Tests
+ * Tests for logger construction, JSON output and caller-supplied loggers
+ */
+
+import { describe, it, expect, vi, afterAll } from 'vitest';
+import { existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import winston from 'winston';
+import {
+  normalizeLogLevel,
+  buildLoggerOptions,
+  createLogger,
+  configureLogger,
+  wrapLogger
+} from '../logger.js';
+import { registerSecret, unregisterSecret } from '../redact.js';
+
+const MESSAGE = Symbol.for('message');
+
+const TEST_DIR = join(process.cwd(), 'test-output-logger');
+
+function render(options, info) {
+  return buildLoggerOptions(options).format.transform({ level: 'info', ...info })[MESSAGE];
+}
+
+describe('normalizeLogLevel', () => {
+  it('should accept level names case-insensitively', () => {
+    expect(normalizeLogLevel('DEBUG')).toBe('debug');
+    expect(normalizeLogLevel('error')).toBe('error');
+  });
+
+  it('should map WARNING to warn', () => {
+    expect(normalizeLogLevel('WARNING')).toBe('warn');
+  });
+
+  it('should reject unknown levels', () => {
+    expect(() => normalizeLogLevel('verbose')).toThrow('Invalid log level: verbose');
+  });
+});
+
+describe('buildLoggerOptions', () => {
+  afterAll(() => {
+    if (existsSync(TEST_DIR)) {
+      rmSync(TEST_DIR, { recursive: true, force: true });
+    }
+  });
+
+  it('should write text lines without metadata', () => {
+    const line = render({}, { message: 'Fetched plants', endpoint: 'plants' });
+    expect(line).toMatch(/^\S+ - INFO - Fetched plants$/);
+  });
+
+  it('should write JSON lines with structured fields', () => {
+    const line = render({ format: 'json' }, { message: 'Fetched plants', endpoint: 'plants', page: 2 });
+
+    expect(JSON.parse(line)).toMatchObject({
+      level: 'info',
+      message: 'Fetched plants',
+      endpoint: 'plants',
+      page: 2,
+      timestamp: expect.any(String)
+    });
+  });
+
+  it('should redact both formats', () => {
+    registerSecret('logger-secret');
+    try {
+      expect(render({}, { message: 'token logger-secret' })).not.toContain('logger-secret');
+      expect(render({ format: 'json' }, { message: 'x', url: '?token=logger-secret' })).not.toContain('logger-secret');
+    } finally {
+      unregisterSecret('logger-secret');
+    }
+  });
+
+  it('should add a file transport when a file is given', () => {
+    const file = join(TEST_DIR, 'trefle.log');
+    const { transports } = buildLoggerOptions({ file });
+
+    expect(transports).toHaveLength(2);
+    expect(transports[1]).toBeInstanceOf(winston.transports.File);
+    expect(transports[1].filename).toBe('trefle.log');
+    expect(transports[1].dirname).toBe(TEST_DIR);
+  });
+
+  it('should reject unknown formats', () => {
+    expect(() => buildLoggerOptions({ format: 'xml' })).toThrow('Invalid log format: xml');
+  });
+});
+
+describe('createLogger', () => {
+  it('should apply level and silent options', () => {
+    const logger = createLogger({ level: 'WARNING', silent: true });
+
+    expect(logger.level).toBe('warn');
+    expect(logger.silent).toBe(true);
+  });
+});
+
+describe('configureLogger', () => {
+  it('should reconfigure a logger in place', () => {
+    const logger = createLogger();
+
+    expect(configureLogger(logger, { level: 'debug' })).toBe(logger);
+    expect(logger.level).toBe('debug');
+  });
+});
+
+describe('wrapLogger', () => {
+  it('should forward messages and metadata with secrets redacted', () => {
+    const target = { error: vi.fn(), warn: vi.fn(), info: vi.fn(), debug: vi.fn() };
+    const logger = wrapLogger(target);
+
+    logger.info('GET plants?token=abc', { endpoint: 'plants', params: { token: 'abc' } });
+    logger.debug('done');
+
+    expect(target.info).toHaveBeenCalledWith('GET plants?token=[REDACTED]', {
+      endpoint: 'plants',
+      params: { token: '[REDACTED]' }
+    });
+    expect(target.debug).toHaveBeenCalledWith('done');
+  });
+
+  it('should call the target methods with their receiver', () => {
+    const target = {
+      lines: [],
+      error(message) { this.lines.push(message); },
+      warn(message) { this.lines.push(message); },
+      info(message) { this.lines.push(message); },
+      debug(message) { this.lines.push(message); }
+    };
+
+    wrapLogger(target).warn('careful');
+
+    expect(target.lines).toEqual(['careful']);
+  });
+
+  it('should reject loggers missing a level method', () => {
+    expect(() => wrapLogger({ info: () => {} })).toThrow('missing: error, warn, debug');
+    expect(() => wrapLogger(null)).toThrow('Logger must provide');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Metrics Tests
+ * Tests for the client metrics registry and Prometheus output
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  MetricsRegistry,
+  normalizeEndpoint,
+  percentile,
+  formatPrometheus
+} from '../metrics.js';
+
+describe('normalizeEndpoint', () => {
+  it('should replace record IDs and slugs', () => {
+    expect(normalizeEndpoint('plants')).toBe('plants');
+    expect(normalizeEndpoint('plants/123')).toBe('plants/:id');
+    expect(normalizeEndpoint('species/quercus-robur')).toBe('species/:id');
+    expect(normalizeEndpoint('distributions/usa/plants')).toBe('distributions/:id/plants');
+    expect(normalizeEndpoint('corrections/species/42')).toBe('corrections/species/:id');
+  });
+
+  it('should keep action segments', () => {
+    expect(normalizeEndpoint('plants/search')).toBe('plants/search');
+    expect(normalizeEndpoint('plants/1/report')).toBe('plants/:id/report');
+    expect(normalizeEndpoint('auth/claim')).toBe('auth/claim');
+  });
+});
+
+describe('percentile', () => {
+  it('should use the nearest rank', () => {
+    const sorted = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+    expect(percentile(sorted, 0.5)).toBe(50);
+    expect(percentile(sorted, 0.9)).toBe(90);
+    expect(percentile(sorted, 0.99)).toBe(100);
+    expect(percentile([5], 0.5)).toBe(5);
+  });
+
+  it('should return null without samples', () => {
+    expect(percentile([], 0.5)).toBeNull();
+  });
+});
+
+describe('MetricsRegistry', () => {
+  it('should reject invalid latency windows', () => {
+    expect(() => new MetricsRegistry({ latencyWindow: 0 })).toThrow('latencyWindow must be a positive integer');
+  });
+
+  it('should count requests, responses, errors and retries per route', () => {
+    const registry = new MetricsRegistry();
+
+    registry.record('request', { endpoint: 'plants/1' });
+    registry.record('retry', { endpoint: 'plants/1' });
+    registry.record('request', { endpoint: 'plants/1' });
+    registry.record('response', { endpoint: 'plants/1', status: 200, duration: 100 });
+    registry.record('request', { endpoint: 'plants/2' });
+    registry.record('error', { endpoint: 'plants/2', status: 404, duration: 50 });
+
+    const { endpoints, totals } = registry.snapshot();
+
+    expect(endpoints['plants/:id']).toMatchObject({
+      requests: 3,
+      responses: 1,
+      errors: 1,
+      retries: 1,
+      errorRate: 0.5,
+      statuses: { 200: 1, 404: 1 }
+    });
+    expect(totals).toMatchObject({ requests: 3, responses: 1, errors: 1, retries: 1, errorRate: 0.5 });
+    expect(totals.latency).toMatchObject({ count: 2, sum: 150, mean: 75, p50: 50, p99: 100 });
+  });
+
+  it('should keep only the most recent latency samples', () => {
+    const registry = new MetricsRegistry({ latencyWindow: 2 });
+
+    for (const duration of [1000, 10, 20]) {
+      registry.record('response', { endpoint: 'plants', status: 200, duration });
+    }
+
+    const { latency } = registry.snapshot().endpoints.plants;
+    expect(latency).toMatchObject({ count: 3, sum: 1030, p99: 20 });
+  });
+
+  it('should count rate limiting by source', () => {
+    const registry = new MetricsRegistry();
+
+    registry.record('rateLimited', { endpoint: 'plants', source: 'client', wait: 500 });
+    registry.record('rateLimited', { endpoint: 'plants', source: 'server', wait: 2000 });
+
+    expect(registry.snapshot().rateLimited).toEqual({ client: 1, server: 1, waitMs: 2500 });
+  });
+
+  it('should ignore unknown events', () => {
+    const registry = new MetricsRegistry();
+    registry.record('newListener', {});
+    expect(registry.snapshot().endpoints).toEqual({});
+  });
+
+  it('should clear metrics on reset', () => {
+    const registry = new MetricsRegistry();
+    registry.record('request', { endpoint: 'plants' });
+
+    registry.reset();
+
+    expect(registry.snapshot().totals.requests).toBe(0);
+  });
+});
+
+describe('formatPrometheus', () => {
+  it('should render counters, latency summaries and gauges', () => {
+    const registry = new MetricsRegistry();
+    registry.record('request', { endpoint: 'plants/1' });
+    registry.record('response', { endpoint: 'plants/1', status: 200, duration: 250 });
+
+    const text = formatPrometheus({
+      ...registry.snapshot(),
+      cache: { hits: 4, misses: 1 },
+      rateLimit: { available: 7 }
+    });
+
+    expect(text).toContain('# TYPE trefle_requests_total counter');
+    expect(text).toContain('trefle_requests_total{endpoint="plants/:id"} 1');
+    expect(text).toContain('trefle_responses_total{endpoint="plants/:id",status="200"} 1');
+    expect(text).toContain('trefle_request_duration_seconds{endpoint="plants/:id",quantile="0.5"} 0.25');
+    expect(text).toContain('trefle_request_duration_seconds_count{endpoint="plants/:id"} 1');
+    expect(text).toContain('trefle_rate_limited_total{source="client"} 0');
+    expect(text).toContain('trefle_cache_hits_total 4');
+    expect(text).toContain('trefle_rate_limit_available_tokens 7');
+    expect(text.endsWith('\n')).toBe(true);
+  });
+
+  it('should support a custom prefix and omit missing sections', () => {
+    const text = formatPrometheus(new MetricsRegistry().snapshot(), { prefix: 'plants_api' });
+
+    expect(text).toContain('# TYPE plants_api_requests_total counter');
+    expect(text).not.toContain('cache_hits_total');
+    expect(text).not.toContain('rate_limit_available_tokens');
+  });
+});
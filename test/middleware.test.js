@@ -0,0 +1,160 @@
+/**
+ * Middleware Tests
+ * Tests for the TrefleAPI middleware helpers
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { existsSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import {
+  validateMiddleware,
+  createMiddlewareContext,
+  runBeforeRequest,
+  runAfterResponse,
+  runOnError,
+  loadMiddleware
+} from '../middleware.js';
+
+const TEST_DIR = join(process.cwd(), 'test-output-middleware');
+
+describe('validateMiddleware', () => {
+  it('should accept objects with at least one hook', () => {
+    const middleware = { onError: () => {} };
+    expect(validateMiddleware(middleware)).toBe(middleware);
+  });
+
+  it('should reject non-objects', () => {
+    expect(() => validateMiddleware(null)).toThrow('Middleware must be an object');
+    expect(() => validateMiddleware(() => {})).toThrow('Middleware must be an object');
+  });
+
+  it('should reject objects without hooks', () => {
+    expect(() => validateMiddleware({ name: 'empty' })).toThrow('Middleware must define at least one of');
+  });
+
+  it('should reject hooks that are not functions', () => {
+    expect(() => validateMiddleware({ afterResponse: true })).toThrow('Middleware hook afterResponse must be a function');
+  });
+});
+
+describe('createMiddlewareContext', () => {
+  it('should remove the token from params', () => {
+    const context = createMiddlewareContext({
+      method: 'get',
+      endpoint: 'plants',
+      url: 'https://trefle.io/api/v1/plants',
+      params: { token: 'secret', page: 1 }
+    });
+
+    expect(context.method).toBe('GET');
+    expect(context.params).toEqual({ page: 1 });
+    expect(context.headers).toEqual({});
+    expect(context.startTime).toBeTypeOf('number');
+  });
+});
+
+describe('runBeforeRequest', () => {
+  it('should run hooks in order until one returns a value', async () => {
+    const third = vi.fn();
+    const middleware = [
+      { beforeRequest: vi.fn() },
+      { afterResponse: vi.fn() },
+      { beforeRequest: () => 'stub' },
+      { beforeRequest: third }
+    ];
+
+    const result = await runBeforeRequest(middleware, {});
+
+    expect(result).toBe('stub');
+    expect(middleware[0].beforeRequest).toHaveBeenCalled();
+    expect(third).not.toHaveBeenCalled();
+  });
+
+  it('should call hooks as methods', async () => {
+    const middleware = {
+      header: 'X-Test',
+      beforeRequest(context) {
+        context.headers[this.header] = '1';
+      }
+    };
+    const context = { headers: {} };
+
+    await runBeforeRequest([middleware], context);
+
+    expect(context.headers).toEqual({ 'X-Test': '1' });
+  });
+});
+
+describe('runAfterResponse', () => {
+  it('should chain replacement responses', async () => {
+    const middleware = [
+      { afterResponse: context => ({ value: context.data.value + 1 }) },
+      { afterResponse: () => undefined },
+      { afterResponse: context => ({ value: context.data.value * 10 }) }
+    ];
+
+    const result = await runAfterResponse(middleware, { data: { value: 1 } });
+
+    expect(result).toEqual({ value: 20 });
+  });
+});
+
+describe('runOnError', () => {
+  it('should rethrow the error when no hook recovers', async () => {
+    const error = new Error('boom');
+    const onError = vi.fn();
+
+    await expect(runOnError([{ onError }], { error })).rejects.toBe(error);
+    expect(onError).toHaveBeenCalled();
+  });
+
+  it('should return the first recovered response', async () => {
+    const context = { error: new Error('boom') };
+
+    const result = await runOnError([{ onError: () => ({ data: [] }) }], context);
+
+    expect(result).toEqual({ data: [] });
+    expect(context.error).toBeNull();
+  });
+
+  it('should let hooks replace the error', async () => {
+    const middleware = [{ onError: () => { throw new Error('replaced'); } }];
+
+    await expect(runOnError(middleware, { error: new Error('boom') })).rejects.toThrow('replaced');
+  });
+});
+
+describe('loadMiddleware', () => {
+  beforeAll(() => {
+    mkdirSync(TEST_DIR, { recursive: true });
+    writeFileSync(join(TEST_DIR, 'single.mjs'), 'export default { afterResponse() {} };');
+    writeFileSync(join(TEST_DIR, 'list.mjs'), 'export default [{ beforeRequest() {} }, { onError() {} }];');
+    writeFileSync(join(TEST_DIR, 'named.mjs'), 'export const middleware = { onError() {} };');
+    writeFileSync(join(TEST_DIR, 'invalid.mjs'), 'export default { log: true };');
+  });
+
+  afterAll(() => {
+    if (existsSync(TEST_DIR)) {
+      rmSync(TEST_DIR, { recursive: true, force: true });
+    }
+  });
+
+  it('should load a single middleware object', async () => {
+    const middleware = await loadMiddleware(join(TEST_DIR, 'single.mjs'));
+    expect(middleware).toHaveLength(1);
+    expect(middleware[0].afterResponse).toBeTypeOf('function');
+  });
+
+  it('should load an array of middleware', async () => {
+    const middleware = await loadMiddleware(join(TEST_DIR, 'list.mjs'));
+    expect(middleware).toHaveLength(2);
+  });
+
+  it('should require a default export', async () => {
+    await expect(loadMiddleware(join(TEST_DIR, 'named.mjs'))).rejects.toThrow('has no default export');
+  });
+
+  it('should validate exported middleware', async () => {
+    await expect(loadMiddleware(join(TEST_DIR, 'invalid.mjs'))).rejects.toThrow('Middleware must define at least one of');
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * QueryBuilder Tests
+ * Tests for the fluent plant and species query builder
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  QueryBuilder,
+  FILTER_FIELDS,
+  RANGE_FIELDS,
+  validateField,
+  validateFilterValue
+} from '../query-builder.js';
+import { TrefleValidationError } from '../errors.js';
+
+function createApi() {
+  const page = { data: [], links: {}, meta: {} };
+  return {
+    getPlants: vi.fn().mockResolvedValue(page),
+    searchPlants: vi.fn().mockResolvedValue(page),
+    getPlantsByZone: vi.fn().mockResolvedValue(page),
+    getPlantsByGenus: vi.fn().mockResolvedValue(page),
+    getSpeciesList: vi.fn().mockResolvedValue(page),
+    searchSpecies: vi.fn().mockResolvedValue(page),
+    paginate: vi.fn(),
+    iterateRecords: vi.fn(),
+    getAllPages: vi.fn().mockResolvedValue([])
+  };
+}
+
+describe('field catalog', () => {
+  it('should only allow ranges on numeric fields', () => {
+    expect(RANGE_FIELDS).toContain('maximum_height');
+    expect(RANGE_FIELDS).not.toContain('edible');
+    for (const field of RANGE_FIELDS) {
+      expect(FILTER_FIELDS[field]).toBe('number');
+    }
+  });
+});
+
+describe('validateField', () => {
+  it('should accept known fields', () => {
+    expect(() => validateField('ligneous_type')).not.toThrow();
+  });
+
+  it('should suggest the closest field for typos', () => {
+    expect(() => validateField('ligneus_type')).toThrow("Unknown filter field 'ligneus_type'. Did you mean 'ligneous_type'?");
+  });
+
+  it('should not suggest unrelated fields', () => {
+    expect(() => validateField('zzz')).toThrow("Unknown filter field 'zzz'.");
+    expect(() => validateField('zzz')).not.toThrow('Did you mean');
+  });
+
+  it('should not accept inherited object properties', () => {
+    expect(() => validateField('toString')).toThrow(TrefleValidationError);
+  });
+});
+
+describe('validateFilterValue', () => {
+  it('should normalize booleans', () => {
+    expect(validateFilterValue('edible', true)).toBe('true');
+    expect(validateFilterValue('edible', 'false')).toBe('false');
+    expect(() => validateFilterValue('edible', 'yes')).toThrow("Field 'edible' must be a boolean");
+  });
+
+  it('should accept numbers and numeric strings', () => {
+    expect(validateFilterValue('maximum_height', 200)).toBe(200);
+    expect(validateFilterValue('maximum_height', '200')).toBe(200);
+    expect(() => validateFilterValue('maximum_height', 'tall')).toThrow("Field 'maximum_height' must be a number");
+    expect(() => validateFilterValue('maximum_height', true)).toThrow('must be a number');
+  });
+
+  it('should check enumerated values case-insensitively', () => {
+    expect(validateFilterValue('toxicity', 'High')).toBe('high');
+    expect(() => validateFilterValue('toxicity', 'deadly')).toThrow("Invalid value 'deadly' for field 'toxicity'");
+  });
+
+  it('should validate every value in an array', () => {
+    expect(validateFilterValue('flower_color', ['red', 'White'])).toEqual(['red', 'white']);
+    expect(() => validateFilterValue('flower_color', ['red', 'plaid'])).toThrow("Invalid value 'plaid'");
+    expect(() => validateFilterValue('flower_color', [])).toThrow('needs at least one value');
+    expect(() => validateFilterValue('edible', [true])).toThrow('takes a single boolean');
+  });
+
+  it('should reject empty strings', () => {
+    expect(() => validateFilterValue('common_name', '')).toThrow('must be a non-empty string');
+  });
+});
+
+describe('QueryBuilder', () => {
+  let api;
+
+  beforeEach(() => {
+    api = createApi();
+  });
+
+  it('should reject unsupported resources', () => {
+    expect(() => new QueryBuilder(api, 'genus')).toThrow('Unsupported query resource: genus');
+  });
+
+  it('should build filter, filter_not, range and order options', () => {
+    const options = new QueryBuilder(api, 'plants')
+      .where('edible', true)
+      .where({ vegetable: 'true', duration: 'perennial' })
+      .exclude('toxicity', 'high')
+      .exclude('common_name')
+      .range('maximum_height', 100, 500)
+      .orderBy('common_name')
+      .orderBy('year', 'DESC')
+      .toOptions();
+
+    expect(options).toEqual({
+      filter: { edible: 'true', vegetable: 'true', duration: 'perennial' },
+      filter_not: { toxicity: 'high', common_name: null },
+      range: { maximum_height: [100, 500] },
+      order: { common_name: 'asc', year: 'desc' }
+    });
+  });
+
+  it('should omit empty option groups', () => {
+    expect(new QueryBuilder(api, 'plants').toOptions()).toEqual({});
+  });
+
+  it('should reject unknown fields and bad values as they are added', () => {
+    const query = new QueryBuilder(api, 'plants');
+
+    expect(() => query.where('ligneus_type', 'tree')).toThrow(TrefleValidationError);
+    expect(() => query.exclude('toxcity')).toThrow("Did you mean 'toxicity'?");
+    expect(() => query.orderBy('common_name', 'up')).toThrow("Invalid sort direction 'up'");
+  });
+
+  it('should validate ranges', () => {
+    const query = new QueryBuilder(api, 'plants');
+
+    expect(() => query.range('edible', 1, 2)).toThrow("Field 'edible' is not numeric");
+    expect(() => query.range('maximum_heigth', 1, 2)).toThrow("Unknown range field 'maximum_heigth'. Did you mean 'maximum_height'?");
+    expect(() => query.range('maximum_height', 500, 100)).toThrow('has min 500 greater than max 100');
+    expect(() => query.range('maximum_height', 'low', 100)).toThrow('must be a number');
+  });
+
+  it('should run unscoped queries with the list method', async () => {
+    await new QueryBuilder(api, 'plants').where('edible', true).get({ page: 2 });
+
+    expect(api.getPlants).toHaveBeenCalledWith({ page: 2, filter: { edible: 'true' } });
+  });
+
+  it('should run search queries with the search method', async () => {
+    await new QueryBuilder(api, 'species').search('oak').where('vegetable', false).get();
+
+    expect(api.searchSpecies).toHaveBeenCalledWith('oak', { filter: { vegetable: 'false' } });
+  });
+
+  it('should scope plant queries by zone or genus', async () => {
+    await new QueryBuilder(api, 'plants').inZone('usa').get();
+    await new QueryBuilder(api, 'plants').inGenus(1234).get();
+
+    expect(api.getPlantsByZone).toHaveBeenCalledWith('usa', {});
+    expect(api.getPlantsByGenus).toHaveBeenCalledWith(1234, {});
+  });
+
+  it('should reject scopes the resource does not support', () => {
+    expect(() => new QueryBuilder(api, 'species').inZone('usa')).toThrow('species queries cannot be scoped by zone');
+  });
+
+  it('should reject conflicting scopes', () => {
+    expect(() => new QueryBuilder(api, 'plants').search('rose').inZone('usa')).toThrow('already scoped by search');
+  });
+
+  it('should reject empty search queries', () => {
+    expect(() => new QueryBuilder(api, 'plants').search('')).toThrow('Search query cannot be empty');
+  });
+
+  it('should pass pagination options through paginate, iterate and all', async () => {
+    const query = new QueryBuilder(api, 'plants').inZone('usa').where('edible', true);
+
+    query.paginate({ maxPages: 2 });
+    query.iterate({ maxRecords: 10 });
+    await query.all({ startPage: 3 });
+
+    const options = { filter: { edible: 'true' } };
+    expect(api.paginate).toHaveBeenCalledWith('getPlantsByZone', 'usa', { maxPages: 2, ...options });
+    expect(api.iterateRecords).toHaveBeenCalledWith('getPlantsByZone', 'usa', { maxRecords: 10, ...options });
+    expect(api.getAllPages).toHaveBeenCalledWith('getPlantsByZone', 'usa', { startPage: 3, ...options });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * RateLimiter Tests
+ * Tests for the token-bucket rate limiter used by TrefleAPI
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { RateLimiter, DEFAULT_BURST } from '../rate-limiter.js';
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('constructor', () => {
+    it('should default to the configured RATE_LIMIT', () => {
+      const limiter = new RateLimiter();
+      expect(limiter.requestsPerMinute).toBe(120);
+      expect(limiter.burst).toBe(DEFAULT_BURST);
+    });
+
+    it('should start with a full bucket', () => {
+      const limiter = new RateLimiter({ burst: 3 });
+      expect(limiter.tokens).toBe(3);
+    });
+
+    it('should throw error for non-positive requestsPerMinute', () => {
+      expect(() => new RateLimiter({ requestsPerMinute: 0 })).toThrow('requestsPerMinute must be a positive number');
+      expect(() => new RateLimiter({ requestsPerMinute: -5 })).toThrow('requestsPerMinute must be a positive number');
+    });
+
+    it('should throw error for burst below 1', () => {
+      expect(() => new RateLimiter({ burst: 0 })).toThrow('burst must be at least 1');
+    });
+  });
+
+  describe('reserve', () => {
+    it('should not wait while burst tokens remain', () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 60, burst: 3 });
+      expect(limiter.reserve()).toBe(0);
+      expect(limiter.reserve()).toBe(0);
+      expect(limiter.reserve()).toBe(0);
+    });
+
+    it('should space requests at the sustained rate once the burst is used', () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 60, burst: 1 });
+      expect(limiter.reserve()).toBe(0);
+      expect(limiter.reserve()).toBe(1000);
+      expect(limiter.reserve()).toBe(2000);
+    });
+
+    it('should refill tokens over time', () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 60, burst: 1 });
+      limiter.reserve();
+
+      vi.advanceTimersByTime(1000);
+
+      expect(limiter.reserve()).toBe(0);
+    });
+
+    it('should not refill beyond the burst size', () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 60, burst: 2 });
+
+      vi.advanceTimersByTime(60000);
+      limiter.reserve();
+
+      expect(limiter.tokens).toBe(1);
+    });
+  });
+
+  describe('acquire', () => {
+    it('should resolve immediately when a token is available', async () => {
+      const limiter = new RateLimiter({ burst: 1 });
+      await expect(limiter.acquire()).resolves.toBe(0);
+    });
+
+    it('should wait for a token when the bucket is empty', async () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 60, burst: 1 });
+      await limiter.acquire();
+
+      let resolved = false;
+      const pending = limiter.acquire().then(() => { resolved = true; });
+
+      await vi.advanceTimersByTimeAsync(999);
+      expect(resolved).toBe(false);
+
+      await vi.advanceTimersByTimeAsync(1);
+      await pending;
+      expect(resolved).toBe(true);
+    });
+
+    it('should resolve with the time waited', async () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 60, burst: 1 });
+      await limiter.acquire();
+
+      const pending = limiter.acquire();
+      await vi.advanceTimersByTimeAsync(1000);
+
+      await expect(pending).resolves.toBe(1000);
+    });
+
+    it('should serve concurrent callers in arrival order', async () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 60, burst: 1 });
+      const order = [];
+
+      const first = limiter.acquire().then(() => order.push(1));
+      const second = limiter.acquire().then(() => order.push(2));
+      const third = limiter.acquire().then(() => order.push(3));
+
+      await vi.advanceTimersByTimeAsync(2000);
+      await Promise.all([first, second, third]);
+
+      expect(order).toEqual([1, 2, 3]);
+    });
+
+    it('should stop waiting and return the token when aborted', async () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 60, burst: 1 });
+      await limiter.acquire();
+      const controller = new AbortController();
+
+      const pending = limiter.acquire(controller.signal);
+      controller.abort();
+
+      await expect(pending).rejects.toHaveProperty('name', 'AbortError');
+      expect(limiter.tokens).toBe(0);
+    });
+
+    it('should reject without reserving for an already aborted signal', async () => {
+      const limiter = new RateLimiter({ burst: 1 });
+
+      await expect(limiter.acquire(AbortSignal.abort())).rejects.toHaveProperty('name', 'AbortError');
+      expect(limiter.tokens).toBe(1);
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should report the remaining budget', () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 60, burst: 3 });
+      limiter.reserve();
+
+      expect(limiter.getStatus()).toEqual({ requestsPerMinute: 60, burst: 3, available: 2, waiting: 0 });
+    });
+
+    it('should count callers waiting for a token', () => {
+      const limiter = new RateLimiter({ requestsPerMinute: 60, burst: 1 });
+      limiter.reserve();
+      limiter.reserve();
+      limiter.reserve();
+
+      expect(limiter.getStatus()).toMatchObject({ available: 0, waiting: 2 });
+
+      vi.advanceTimersByTime(1000);
+      expect(limiter.getStatus()).toMatchObject({ available: 0, waiting: 1 });
+    });
+  });
+});
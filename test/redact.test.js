@@ -0,0 +1,137 @@
+/**
+ * Redaction Tests
+ * Tests for keeping the API token out of logs, errors and files
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  REDACTED,
+  registerSecret,
+  unregisterSecret,
+  redactString,
+  redact,
+  redactError,
+  redactFormat
+} from '../redact.js';
+
+const SECRET = 'sk-test/secret+token';
+
+describe('redaction', () => {
+  beforeEach(() => {
+    registerSecret(SECRET);
+  });
+
+  afterEach(() => {
+    unregisterSecret(SECRET);
+  });
+
+  describe('redactString', () => {
+    it('should replace registered secrets', () => {
+      expect(redactString(`token is ${SECRET}!`)).toBe(`token is ${REDACTED}!`);
+    });
+
+    it('should replace URL-encoded secrets', () => {
+      expect(redactString(`/plants/${encodeURIComponent(SECRET)}`)).toBe(`/plants/${REDACTED}`);
+    });
+
+    it('should replace token query parameters even for unregistered tokens', () => {
+      expect(redactString('https://trefle.io/api/v1/plants?page=2&token=other-token&q=rose'))
+        .toBe(`https://trefle.io/api/v1/plants?page=2&token=${REDACTED}&q=rose`);
+    });
+
+    it('should return non-strings unchanged', () => {
+      expect(redactString(42)).toBe(42);
+      expect(redactString(null)).toBeNull();
+    });
+
+    it('should ignore empty secrets', () => {
+      registerSecret('');
+      expect(redactString('nothing to hide')).toBe('nothing to hide');
+    });
+  });
+
+  describe('redact', () => {
+    it('should redact nested strings and secret keys without modifying the input', () => {
+      const input = {
+        params: { token: 'anything', page: 1 },
+        headers: { Authorization: 'Bearer abc' },
+        notes: [`leaked ${SECRET}`],
+        empty: { token: null }
+      };
+
+      const output = redact(input);
+
+      expect(output).toEqual({
+        params: { token: REDACTED, page: 1 },
+        headers: { Authorization: REDACTED },
+        notes: [`leaked ${REDACTED}`],
+        empty: { token: null }
+      });
+      expect(input.params.token).toBe('anything');
+    });
+
+    it('should handle circular references', () => {
+      const input = { name: SECRET };
+      input.self = input;
+
+      const output = redact(input);
+
+      expect(output.name).toBe(REDACTED);
+      expect(output.self).toBe(output);
+    });
+  });
+
+  describe('redactError', () => {
+    it('should scrub axios error details in place', () => {
+      const error = new Error(`Request failed: GET /plants?token=${SECRET}`);
+      error.config = {
+        url: `https://trefle.io/api/v1/plants?token=${SECRET}`,
+        params: { token: SECRET, page: 1 },
+        httpsAgent: { sockets: {} },
+        proxy: { host: 'proxy.local', auth: { username: 'user', password: 'hunter2' } }
+      };
+      error.request = { method: 'GET', path: `/api/v1/plants?token=${SECRET}`, socket: {} };
+      error.response = { status: 500, config: error.config, request: error.request };
+
+      expect(redactError(error)).toBe(error);
+
+      const serialized = JSON.stringify(error, Object.getOwnPropertyNames(error));
+      expect(serialized).not.toContain(SECRET);
+      expect(serialized).not.toContain('hunter2');
+      expect(error.config.params).toEqual({ token: REDACTED, page: 1 });
+      expect(error.config.httpsAgent).toBeUndefined();
+      expect(error.request).toEqual({ method: 'GET', path: `/api/v1/plants?token=${REDACTED}` });
+    });
+
+    it('should follow the cause chain', () => {
+      const cause = new Error(`inner ${SECRET}`);
+      const error = new Error('outer', { cause });
+
+      redactError(error);
+
+      expect(cause.message).toBe(`inner ${REDACTED}`);
+      expect(cause.stack).not.toContain(SECRET);
+    });
+  });
+
+  describe('redactFormat', () => {
+    it('should redact log messages and metadata', () => {
+      const info = redactFormat().transform({ level: 'info', message: `url ?token=${SECRET}`, detail: SECRET });
+
+      expect(info.message).toBe(`url ?token=${REDACTED}`);
+      expect(info.detail).toBe(REDACTED);
+    });
+
+    it('should redact nested metadata', () => {
+      const error = new Error(`failed with ${SECRET}`);
+      const info = redactFormat().transform({
+        level: 'info',
+        message: 'request',
+        meta: { params: { token: 'unregistered-token', page: 2 }, url: `?token=${SECRET}`, errors: [error] }
+      });
+
+      expect(info.meta).toEqual({ params: { token: REDACTED, page: 2 }, url: `?token=${REDACTED}`, errors: [error] });
+      expect(error.message).toBe(`failed with ${REDACTED}`);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Retry Policy Tests
+ * Tests for backoff computation, Retry-After parsing and retry decisions
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  normalizeRetryOptions,
+  parseRetryAfter,
+  computeBackoff,
+  getRetryDelay,
+  sleep,
+  DEFAULT_RETRY_OPTIONS
+} from '../retry.js';
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+describe('normalizeRetryOptions', () => {
+  it('should return defaults when no options are given', () => {
+    expect(normalizeRetryOptions()).toEqual(DEFAULT_RETRY_OPTIONS);
+  });
+
+  it('should merge user options over defaults', () => {
+    const policy = normalizeRetryOptions({ maxAttempts: 5, baseDelay: 100 });
+    expect(policy.maxAttempts).toBe(5);
+    expect(policy.baseDelay).toBe(100);
+    expect(policy.maxDelay).toBe(DEFAULT_RETRY_OPTIONS.maxDelay);
+  });
+
+  it('should disable retries when options is false', () => {
+    expect(normalizeRetryOptions(false).maxAttempts).toBe(1);
+  });
+
+  it('should throw error for invalid maxAttempts', () => {
+    expect(() => normalizeRetryOptions({ maxAttempts: 0 })).toThrow('maxAttempts must be a positive integer');
+    expect(() => normalizeRetryOptions({ maxAttempts: 1.5 })).toThrow('maxAttempts must be a positive integer');
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('should parse delay-seconds', () => {
+    expect(parseRetryAfter('120')).toBe(120000);
+    expect(parseRetryAfter(2)).toBe(2000);
+  });
+
+  it('should parse HTTP dates relative to now', () => {
+    const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+    expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:30 GMT', now)).toBe(30000);
+  });
+
+  it('should clamp past dates to zero', () => {
+    const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+    expect(parseRetryAfter('Wed, 21 Oct 2015 07:27:00 GMT', now)).toBe(0);
+  });
+
+  it('should return null for missing or invalid values', () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('')).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+    expect(parseRetryAfter('-5')).toBeNull();
+  });
+});
+
+describe('computeBackoff', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should grow exponentially with each attempt', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(1);
+    const policy = normalizeRetryOptions({ baseDelay: 100 });
+    expect(computeBackoff(1, policy)).toBe(100);
+    expect(computeBackoff(2, policy)).toBe(200);
+    expect(computeBackoff(3, policy)).toBe(400);
+  });
+
+  it('should keep at least half of the exponential delay', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    const policy = normalizeRetryOptions({ baseDelay: 100 });
+    expect(computeBackoff(3, policy)).toBe(200);
+  });
+
+  it('should cap delays at maxDelay', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(1);
+    const policy = normalizeRetryOptions({ baseDelay: 1000, maxDelay: 1500 });
+    expect(computeBackoff(5, policy)).toBe(1500);
+  });
+});
+
+describe('getRetryDelay', () => {
+  const policy = normalizeRetryOptions({ baseDelay: 100 });
+
+  it('should retry retryable status codes on GET', () => {
+    expect(getRetryDelay(httpError(503), 1, 'GET', policy)).toBeGreaterThanOrEqual(50);
+    expect(getRetryDelay(httpError(502), 1, 'get', policy)).toBeGreaterThanOrEqual(50);
+  });
+
+  it('should not retry client errors', () => {
+    expect(getRetryDelay(httpError(400), 1, 'GET', policy)).toBeNull();
+    expect(getRetryDelay(httpError(401), 1, 'GET', policy)).toBeNull();
+    expect(getRetryDelay(httpError(404), 1, 'GET', policy)).toBeNull();
+  });
+
+  it('should stop after maxAttempts', () => {
+    expect(getRetryDelay(httpError(503), 3, 'GET', policy)).toBeNull();
+  });
+
+  it('should honor Retry-After headers', () => {
+    expect(getRetryDelay(httpError(429, { 'retry-after': '7' }), 1, 'GET', policy)).toBe(7000);
+  });
+
+  it('should give up when Retry-After exceeds maxRetryAfter', () => {
+    expect(getRetryDelay(httpError(429, { 'retry-after': '3600' }), 1, 'GET', policy)).toBeNull();
+  });
+
+  it('should not retry POST requests by default', () => {
+    expect(getRetryDelay(httpError(503), 1, 'POST', policy)).toBeNull();
+  });
+
+  it('should retry POST requests when retryNonIdempotent is set', () => {
+    const postPolicy = normalizeRetryOptions({ baseDelay: 100, retryNonIdempotent: true });
+    expect(getRetryDelay(httpError(503), 1, 'POST', postPolicy)).not.toBeNull();
+  });
+
+  it('should retry transient network errors', () => {
+    const error = new Error('socket hang up');
+    error.code = 'ECONNRESET';
+    expect(getRetryDelay(error, 1, 'GET', policy)).not.toBeNull();
+  });
+
+  it('should not retry errors without a response or network code', () => {
+    expect(getRetryDelay(new Error('Unexpected'), 1, 'GET', policy)).toBeNull();
+  });
+});
+
+describe('sleep', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should resolve after the delay', async () => {
+    vi.useFakeTimers();
+    let resolved = false;
+    const pending = sleep(100).then(() => { resolved = true; });
+
+    await vi.advanceTimersByTimeAsync(99);
+    expect(resolved).toBe(false);
+
+    await vi.advanceTimersByTimeAsync(1);
+    await pending;
+    expect(resolved).toBe(true);
+  });
+
+  it('should reject with the abort reason when the signal is aborted', async () => {
+    vi.useFakeTimers();
+    const controller = new AbortController();
+    const pending = sleep(10000, controller.signal);
+
+    controller.abort(new Error('stop'));
+
+    await expect(pending).rejects.toThrow('stop');
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it('should reject immediately for an already aborted signal', async () => {
+    await expect(sleep(10000, AbortSignal.abort())).rejects.toHaveProperty('name', 'AbortError');
+  });
+});
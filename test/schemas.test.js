@@ -0,0 +1,296 @@
+/**
+ * Schemas Tests
+ * Tests for response schema validation and drift reporting
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  SCHEMAS,
+  SchemaValidator,
+  validate,
+  validateResponse,
+  getResponseSchema,
+  describeType,
+  formatIssues
+} from '../schemas.js';
+
+const links = { self: '/api/v1/plants/1' };
+const measurement = { cm: null };
+const temperature = { deg_f: null, deg_c: null };
+
+function listedSpecies(overrides = {}) {
+  return {
+    id: 1,
+    common_name: 'English oak',
+    slug: 'quercus-robur',
+    scientific_name: 'Quercus robur',
+    year: 1753,
+    bibliography: 'Sp. Pl.: 996 (1753)',
+    author: 'L.',
+    status: 'accepted',
+    rank: 'species',
+    family_common_name: 'Beech family',
+    genus_id: 7,
+    image_url: null,
+    synonyms: ['Quercus pedunculata'],
+    genus: 'Quercus',
+    family: 'Fagaceae',
+    links,
+    ...overrides
+  };
+}
+
+function genus() {
+  return { id: 7, name: 'Quercus', slug: 'quercus', links };
+}
+
+function family() {
+  return { id: 3, name: 'Fagaceae', common_name: 'Beech family', slug: 'fagaceae', links };
+}
+
+function speciesDetail(overrides = {}) {
+  return {
+    ...listedSpecies(),
+    observations: 'Europe',
+    vegetable: false,
+    duration: null,
+    edible_part: null,
+    edible: false,
+    common_names: { en: ['English oak'] },
+    distribution: { native: ['France'] },
+    distributions: {
+      native: [{ id: 5, name: 'France', slug: 'france', tdwg_code: 'FRA', tdwg_level: 3, species_count: 9000, links }]
+    },
+    images: { leaf: [{ id: 9, image_url: 'https://example.com/leaf.jpg', copyright: null }] },
+    flower: { color: null, conspicuous: null },
+    foliage: { texture: null, color: ['green'], leaf_retention: false },
+    fruit_or_seed: { conspicuous: null, color: null, shape: null, seed_persistence: null },
+    specifications: {
+      ligneous_type: 'tree',
+      growth_form: null,
+      growth_habit: null,
+      growth_rate: null,
+      average_height: measurement,
+      maximum_height: { cm: 4000 },
+      nitrogen_fixation: null,
+      shape_and_orientation: null,
+      toxicity: null
+    },
+    growth: {
+      description: null,
+      sowing: null,
+      days_to_harvest: null,
+      row_spacing: measurement,
+      spread: measurement,
+      ph_maximum: 7.5,
+      ph_minimum: 5,
+      light: 7,
+      atmospheric_humidity: null,
+      growth_months: null,
+      bloom_months: ['apr', 'may'],
+      fruit_months: null,
+      minimum_precipitation: { mm: null },
+      maximum_precipitation: { mm: null },
+      minimum_root_depth: measurement,
+      minimum_temperature: temperature,
+      maximum_temperature: temperature,
+      soil_nutriments: null,
+      soil_salinity: null,
+      soil_texture: null,
+      soil_humidity: null
+    },
+    sources: [{ id: 'gbif', name: 'GBIF', url: null, citation: null, last_update: '2020-01-01' }],
+    synonyms: [{ id: 2, name: 'Quercus pedunculata', author: 'Ehrh.' }],
+    genus: genus(),
+    family: family(),
+    ...overrides
+  };
+}
+
+function plantDetail(overrides = {}) {
+  return {
+    id: 1,
+    common_name: 'English oak',
+    slug: 'quercus-robur',
+    scientific_name: 'Quercus robur',
+    main_species_id: 1,
+    image_url: null,
+    year: 1753,
+    bibliography: null,
+    author: 'L.',
+    family_common_name: 'Beech family',
+    genus_id: 7,
+    observations: null,
+    vegetable: false,
+    links,
+    main_species: speciesDetail(),
+    genus: genus(),
+    family: family(),
+    species: [listedSpecies()],
+    subspecies: [],
+    varieties: [],
+    hybrids: [],
+    forms: [],
+    subvarieties: [],
+    sources: [],
+    ...overrides
+  };
+}
+
+function collection(data) {
+  return { data, links: { self: '/api/v1/plants', first: '/api/v1/plants?page=1' }, meta: { total: data.length } };
+}
+
+describe('validate', () => {
+  it('should accept records matching their schema', () => {
+    expect(validate(plantDetail(), SCHEMAS.plantDetail)).toEqual([]);
+    expect(validate(listedSpecies(), SCHEMAS.plant)).toEqual([]);
+  });
+
+  it('should report missing fields and nulls where objects were', () => {
+    const issues = validate(plantDetail({ main_species: undefined, genus: null }), SCHEMAS.plantDetail);
+
+    expect(issues).toEqual([
+      { path: 'main_species', expected: 'object', received: 'undefined', count: 1 },
+      { path: 'genus', expected: 'object', received: 'null', count: 1 }
+    ]);
+  });
+
+  it('should report nested fields by path', () => {
+    const detail = plantDetail({
+      main_species: speciesDetail({ growth: { ...speciesDetail().growth, ph_minimum: '5' } })
+    });
+
+    expect(validate(detail, SCHEMAS.plantDetail)).toEqual([
+      { path: 'main_species.growth.ph_minimum', expected: 'number', received: 'string', count: 1 }
+    ]);
+  });
+
+  it('should merge array item and map value issues by path', () => {
+    const response = collection([listedSpecies({ genus_id: null }), listedSpecies({ genus_id: null })]);
+    const detail = speciesDetail({ images: { leaf: [{ id: 1, image_url: null, copyright: null }] } });
+
+    expect(validate(response, getResponseSchema('plants').schema)).toEqual([
+      { path: 'data[].genus_id', expected: 'integer', received: 'null', count: 2 }
+    ]);
+    expect(validate(detail, SCHEMAS.speciesDetail)).toEqual([
+      { path: 'images.*[].image_url', expected: 'string', received: 'null', count: 1 }
+    ]);
+  });
+
+  it('should allow nullable and optional fields', () => {
+    const kingdom = { id: 1, name: 'Plantae', slug: 'plantae', links };
+
+    expect(validate({ ...kingdom, common_name: null }, SCHEMAS.family)).toEqual([]);
+    expect(validate({ ...kingdom, kingdom: undefined }, SCHEMAS.subkingdom)).toEqual([]);
+  });
+
+  it('should ignore extra fields', () => {
+    expect(validate(listedSpecies({ new_field: 'x' }), SCHEMAS.plant)).toEqual([]);
+  });
+});
+
+describe('getResponseSchema', () => {
+  it('should map endpoints to entity schemas', () => {
+    expect(getResponseSchema('plants')).toMatchObject({ name: 'plant', route: 'plants' });
+    expect(getResponseSchema('plants/quercus-robur')).toMatchObject({ name: 'plantDetail', route: 'plants/:id' });
+    expect(getResponseSchema('distributions/fra/plants')).toMatchObject({ name: 'plant' });
+    expect(getResponseSchema('species/search')).toMatchObject({ name: 'species' });
+    expect(getResponseSchema('species/1/report')).toMatchObject({ name: 'correction' });
+    expect(getResponseSchema('corrections/species/1')).toMatchObject({ name: 'correction' });
+    expect(getResponseSchema('division_orders/2')).toMatchObject({ name: 'divisionOrder' });
+  });
+
+  it('should return null for unknown endpoints', () => {
+    expect(getResponseSchema('unknown')).toBeNull();
+  });
+});
+
+describe('validateResponse', () => {
+  it('should validate collection and record envelopes', () => {
+    expect(validateResponse('plants', collection([listedSpecies()]))).toEqual({ schema: 'plant', issues: [] });
+    expect(validateResponse('plants/1', { data: plantDetail(), meta: { last_modified: '2020-01-01' } }))
+      .toEqual({ schema: 'plantDetail', issues: [] });
+  });
+
+  it('should report a missing envelope', () => {
+    expect(validateResponse('plants', { data: [] }).issues).toEqual([
+      { path: 'links', expected: 'object', received: 'undefined', count: 1 },
+      { path: 'meta', expected: 'object', received: 'undefined', count: 1 }
+    ]);
+  });
+
+  it('should skip endpoints without a schema', () => {
+    expect(validateResponse('unknown', null)).toEqual({ schema: null, issues: [] });
+  });
+});
+
+describe('describeType', () => {
+  it('should describe values', () => {
+    expect(describeType(undefined)).toBe('undefined');
+    expect(describeType(null)).toBe('null');
+    expect(describeType([])).toBe('array');
+    expect(describeType(3)).toBe('integer');
+    expect(describeType(3.5)).toBe('number');
+    expect(describeType({})).toBe('object');
+  });
+});
+
+describe('formatIssues', () => {
+  it('should list issues and summarize the rest', () => {
+    const issues = ['a', 'b', 'c', 'd'].map(path => ({ path, expected: 'string', received: 'null', count: 1 }));
+
+    expect(formatIssues(issues.slice(0, 1))).toBe('a expected string, received null');
+    expect(formatIssues(issues, 2)).toBe('a expected string, received null; b expected string, received null (+2 more)');
+  });
+});
+
+describe('SchemaValidator', () => {
+  it('should reject unknown modes', () => {
+    expect(() => new SchemaValidator({ mode: 'loud' })).toThrow('Invalid validation mode: loud');
+  });
+
+  it('should collect drift per route and field', () => {
+    const validator = new SchemaValidator();
+    const broken = { data: plantDetail({ main_species: null }), meta: {} };
+
+    const first = validator.validate('plants/1', broken);
+    const second = validator.validate('plants/2', broken);
+    validator.validate('plants/3', { data: plantDetail(), meta: {} });
+
+    expect(first.newIssues).toHaveLength(1);
+    expect(second.issues).toHaveLength(1);
+    expect(second.newIssues).toEqual([]);
+
+    const report = validator.getReport();
+    expect(report).toMatchObject({ mode: 'report', validated: 3, invalid: 2 });
+    expect(report.fields).toEqual({
+      'plants/:id': {
+        'data.main_species': {
+          schema: 'plantDetail',
+          expected: 'object',
+          received: { null: 2 },
+          count: 2,
+          firstSeen: expect.any(String),
+          lastSeen: expect.any(String)
+        }
+      }
+    });
+  });
+
+  it('should not validate in off mode', () => {
+    const validator = new SchemaValidator({ mode: 'off' });
+
+    expect(validator.validate('plants/1', {}).issues).toEqual([]);
+    expect(validator.getReport().validated).toBe(0);
+  });
+
+  it('should reset collected drift', () => {
+    const validator = new SchemaValidator();
+    validator.validate('plants/1', {});
+
+    validator.reset();
+
+    expect(validator.getReport()).toMatchObject({ validated: 0, invalid: 0, fields: {} });
+  });
+});
@@ -13,10 +13,13 @@ import {
   pause,
   callAPI,
   trimPlantSynonyms,
+  compactGenusList,
   findFirstSourceWithUrl,
   flattenPlantData,
   setLogLevel
 } from '../utils.js';
+import { TrefleRateLimitError, TrefleNetworkError, TrefleAbortError } from '../errors.js';
+import { registerSecret, unregisterSecret } from '../redact.js';
 
 // Test directory for file I/O tests
 const TEST_DIR = join(process.cwd(), 'test-output-utils');
@@ -51,6 +54,48 @@ describe('File I/O Functions', () => {
       expect(JSON.parse(content)).toEqual(data);
     });
 
+    it('should redact tokens from written data', async () => {
+      const filepath = join(TEST_DIR, 'redacted.json');
+
+      registerSecret('secret-abc');
+
+      try {
+        await writeToFile({ note: 'uses secret-abc', next: '/api/v1/plants?token=xyz&page=2' }, filepath);
+      } finally {
+        unregisterSecret('secret-abc');
+      }
+
+      expect(JSON.parse(readFileSync(filepath, 'utf-8'))).toEqual({
+        note: 'uses [REDACTED]',
+        next: '/api/v1/plants?token=[REDACTED]&page=2'
+      });
+    });
+
+    it('should write fields named like secrets unchanged', async () => {
+      const filepath = join(TEST_DIR, 'fields.json');
+      const data = { token: 'public-value', password: null, author: 'L.' };
+
+      await writeToFile(data, filepath);
+
+      expect(JSON.parse(readFileSync(filepath, 'utf-8'))).toEqual(data);
+    });
+
+    it('should redact registered secrets from CSV and text files', async () => {
+      const csvPath = join(TEST_DIR, 'redacted.csv');
+      const txtPath = join(TEST_DIR, 'redacted.txt');
+      registerSecret('secret-abc');
+
+      try {
+        await writeToFile([{ id: 1, note: 'secret-abc' }], csvPath);
+        await writeToFile('token secret-abc', txtPath);
+      } finally {
+        unregisterSecret('secret-abc');
+      }
+
+      expect(readFileSync(csvPath, 'utf-8')).toBe('id,note\n1,[REDACTED]');
+      expect(readFileSync(txtPath, 'utf-8')).toBe('token [REDACTED]');
+    });
+
     it('should write CSV data to file', async () => {
       const filepath = join(TEST_DIR, 'test.csv');
       const data = [
@@ -151,6 +196,17 @@ describe('File I/O Functions', () => {
       expect(result[0].col1).toBe('a');
     });
 
+    it('should read quoted CSV values written by writeToFile', async () => {
+      const filepath = join(TEST_DIR, 'read-quoted.csv');
+      const data = [
+        { id: '1', notes: 'Wrong family, should be "Fagaceae"' },
+        { id: '2', notes: 'Two\nlines' }
+      ];
+      await writeToFile(data, filepath);
+
+      expect(await readFromFile(filepath)).toEqual(data);
+    });
+
     it('should read text data from file', async () => {
       const filepath = join(TEST_DIR, 'read-test.txt');
       await writeToFile('Hello World', filepath);
@@ -312,6 +368,44 @@ describe('callAPI', () => {
     expect(result.errorType).toBe('HTTPError');
   });
 
+  it('should classify TrefleErrors thrown by the API', async () => {
+    const rateLimitError = new TrefleRateLimitError('Too many requests', { statusCode: 429 });
+    const mockMethod = vi.fn().mockRejectedValue(rateLimitError);
+    const filepath = join(TEST_DIR, 'api-rate-limit.json');
+
+    const result = await callAPI(mockMethod, filepath, null, true);
+
+    expect(result.success).toBe(false);
+    expect(result.statusCode).toBe(429);
+    expect(result.errorType).toBe('HTTPError');
+  });
+
+  it('should report the error class name for non-HTTP errors', async () => {
+    const mockMethod = vi.fn().mockRejectedValue(new TrefleNetworkError('socket hang up'));
+    const filepath = join(TEST_DIR, 'api-network.json');
+
+    const result = await callAPI(mockMethod, filepath, null, true);
+
+    expect(result.statusCode).toBeNull();
+    expect(result.errorType).toBe('TrefleNetworkError');
+  });
+
+  it('should rethrow classified errors when continueOnError=false', async () => {
+    const httpError = new Error('Request failed with status code 429');
+    httpError.response = { status: 429 };
+    const mockMethod = vi.fn().mockRejectedValue(httpError);
+    const filepath = join(TEST_DIR, 'api-rethrow.json');
+
+    await expect(callAPI(mockMethod, filepath, null, false)).rejects.toThrow(TrefleRateLimitError);
+  });
+
+  it('should rethrow cancellations even when continueOnError=true', async () => {
+    const mockMethod = vi.fn().mockRejectedValue(new TrefleAbortError('Request to plants was aborted'));
+    const filepath = join(TEST_DIR, 'api-abort.json');
+
+    await expect(callAPI(mockMethod, filepath)).rejects.toThrow(TrefleAbortError);
+  });
+
   it('should return success when API returns null data', async () => {
     const mockMethod = vi.fn().mockResolvedValue(null);
     const filepath = join(TEST_DIR, 'api-null.json');
@@ -383,6 +477,30 @@ describe('Plant Data Functions', () => {
     });
   });
 
+  describe('compactGenusList', () => {
+    it('should keep id, slug, name and family name', () => {
+      const genera = [{
+        id: 1,
+        name: 'Quercus',
+        slug: 'quercus',
+        links: { self: '/api/v1/genus/quercus' },
+        family: { id: 3, name: 'Fagaceae', common_name: 'Beech family', slug: 'fagaceae' }
+      }];
+
+      expect(compactGenusList(genera)).toEqual([{ id: 1, slug: 'quercus', name: 'Quercus', family: 'Fagaceae' }]);
+    });
+
+    it('should accept family names and missing families', () => {
+      const genera = [
+        { id: 1, name: 'Quercus', slug: 'quercus', family: 'Fagaceae' },
+        { id: 2, name: 'Incertae', slug: 'incertae', family: null },
+        { id: 3, name: 'Orphan', slug: 'orphan' }
+      ];
+
+      expect(compactGenusList(genera).map(row => row.family)).toEqual(['Fagaceae', null, null]);
+    });
+  });
+
   describe('findFirstSourceWithUrl', () => {
     it('should return null for null input', () => {
       expect(findFirstSourceWithUrl(null)).toBeNull();
@@ -0,0 +1,429 @@
+/**
+ * Trefle API Response Models
+ *
+ * Shapes of the JSON returned by the Trefle API, as passed through unchanged
+ * by TrefleAPI. Fields Trefle leaves unset are null.
+ */
+
+// ==================== ENVELOPES ====================
+
+/**
+ * Links on a paginated response. URLs are relative to the API host.
+ */
+export interface PaginationLinks {
+  self: string;
+  first: string;
+  last?: string;
+  next?: string;
+  prev?: string;
+}
+
+/**
+ * Paginated list response.
+ */
+export interface CollectionResponse<T> {
+  data: T[];
+  links: PaginationLinks;
+  meta: {
+    total: number;
+    [key: string]: unknown;
+  };
+}
+
+/**
+ * Single-record response.
+ */
+export interface RecordResponse<T> {
+  data: T;
+  meta: {
+    last_modified?: string;
+    [key: string]: unknown;
+  };
+}
+
+/**
+ * Page yielded by paginate().
+ */
+export interface Page<T> {
+  page: number;
+  data: T[];
+  links: PaginationLinks;
+  meta: CollectionResponse<T>['meta'];
+}
+
+/**
+ * Links between records.
+ */
+export interface RecordLinks {
+  self: string;
+  [relation: string]: string;
+}
+
+// ==================== TAXONOMY ====================
+
+export interface Kingdom {
+  id: number;
+  name: string;
+  slug: string;
+  links: RecordLinks;
+}
+
+export interface Subkingdom {
+  id: number;
+  name: string;
+  slug: string;
+  kingdom?: Kingdom;
+  links: RecordLinks;
+}
+
+export interface Division {
+  id: number;
+  name: string;
+  slug: string;
+  subkingdom?: Subkingdom;
+  links: RecordLinks;
+}
+
+export interface DivisionClass {
+  id: number;
+  name: string;
+  slug: string;
+  division?: Division;
+  links: RecordLinks;
+}
+
+export interface DivisionOrder {
+  id: number;
+  name: string;
+  slug: string;
+  division_class?: DivisionClass;
+  links: RecordLinks;
+}
+
+export interface Family {
+  id: number;
+  name: string;
+  common_name: string | null;
+  slug: string;
+  division_order?: DivisionOrder | null;
+  links: RecordLinks;
+}
+
+export interface Genus {
+  id: number;
+  name: string;
+  slug: string;
+  family?: Family;
+  links: RecordLinks;
+}
+
+// ==================== DISTRIBUTIONS ====================
+
+export interface DistributionZone {
+  id: number;
+  name: string;
+  slug: string;
+  tdwg_code: string;
+  tdwg_level: number;
+  species_count: number;
+  parent?: DistributionZone | null;
+  children?: DistributionZone[];
+  links: RecordLinks;
+}
+
+/**
+ * Establishment categories used by species distributions.
+ */
+export type DistributionEstablishment = 'native' | 'introduced' | 'doubtful' | 'absent' | 'extinct';
+
+// ==================== SPECIES ====================
+
+export interface Measurement {
+  cm?: number | null;
+  mm?: number | null;
+}
+
+export interface Temperature {
+  deg_f: number | null;
+  deg_c: number | null;
+}
+
+/**
+ * Month abbreviations used by growth fields.
+ */
+export type Month = 'jan' | 'feb' | 'mar' | 'apr' | 'may' | 'jun' | 'jul' | 'aug' | 'sep' | 'oct' | 'nov' | 'dec';
+
+export interface SpeciesImage {
+  id: number;
+  image_url: string;
+  copyright: string | null;
+}
+
+export interface SpeciesImages {
+  flower?: SpeciesImage[];
+  leaf?: SpeciesImage[];
+  habit?: SpeciesImage[];
+  fruit?: SpeciesImage[];
+  bark?: SpeciesImage[];
+  other?: SpeciesImage[];
+  [type: string]: SpeciesImage[] | undefined;
+}
+
+export interface SpeciesFlower {
+  color: string[] | null;
+  conspicuous: boolean | null;
+}
+
+export interface SpeciesFoliage {
+  texture: 'fine' | 'medium' | 'coarse' | null;
+  color: string[] | null;
+  leaf_retention: boolean | null;
+}
+
+export interface SpeciesFruitOrSeed {
+  conspicuous: boolean | null;
+  color: string[] | null;
+  shape: string | null;
+  seed_persistence: boolean | null;
+}
+
+export interface SpeciesSpecifications {
+  ligneous_type: 'liana' | 'subshrub' | 'shrub' | 'tree' | 'parasite' | null;
+  growth_form: string | null;
+  growth_habit: string | null;
+  growth_rate: string | null;
+  average_height: Measurement;
+  maximum_height: Measurement;
+  nitrogen_fixation: string | null;
+  shape_and_orientation: string | null;
+  toxicity: 'none' | 'low' | 'medium' | 'high' | null;
+}
+
+export interface SpeciesGrowth {
+  description: string | null;
+  sowing: string | null;
+  days_to_harvest: number | null;
+  row_spacing: Measurement;
+  spread: Measurement;
+  ph_maximum: number | null;
+  ph_minimum: number | null;
+  light: number | null;
+  atmospheric_humidity: number | null;
+  growth_months: Month[] | null;
+  bloom_months: Month[] | null;
+  fruit_months: Month[] | null;
+  minimum_precipitation: Measurement;
+  maximum_precipitation: Measurement;
+  minimum_root_depth: Measurement;
+  minimum_temperature: Temperature;
+  maximum_temperature: Temperature;
+  soil_nutriments: number | null;
+  soil_salinity: number | null;
+  soil_texture: number | null;
+  soil_humidity: number | null;
+}
+
+export interface SpeciesSource {
+  id: string;
+  name: string;
+  url: string | null;
+  citation: string | null;
+  last_update: string;
+}
+
+export interface SpeciesSynonym {
+  id: number;
+  name: string;
+  author: string | null;
+}
+
+/**
+ * Species as listed by getSpeciesList() and searchSpecies().
+ */
+export interface Species {
+  id: number;
+  common_name: string | null;
+  slug: string;
+  scientific_name: string;
+  year: number | null;
+  bibliography: string | null;
+  author: string | null;
+  status: 'accepted' | 'unknown';
+  rank: 'species' | 'ssp' | 'var' | 'form' | 'hybrid' | 'subvar';
+  family_common_name: string | null;
+  genus_id: number;
+  image_url: string | null;
+  synonyms: string[];
+  genus: string;
+  family: string;
+  links: RecordLinks;
+}
+
+/**
+ * Species as returned by getSpecies(), and as the main species of a plant.
+ */
+export interface SpeciesDetail extends Omit<Species, 'synonyms' | 'genus' | 'family'> {
+  observations: string | null;
+  vegetable: boolean | null;
+  duration: Array<'annual' | 'biennial' | 'perennial'> | null;
+  edible_part: string[] | null;
+  edible: boolean | null;
+  common_names: Record<string, string[]>;
+  distribution: Partial<Record<DistributionEstablishment, string[]>>;
+  distributions: Partial<Record<DistributionEstablishment, DistributionZone[]>>;
+  images: SpeciesImages;
+  flower: SpeciesFlower;
+  foliage: SpeciesFoliage;
+  fruit_or_seed: SpeciesFruitOrSeed;
+  specifications: SpeciesSpecifications;
+  growth: SpeciesGrowth;
+  sources: SpeciesSource[];
+  synonyms: SpeciesSynonym[];
+  genus: Genus;
+  family: Family;
+}
+
+// ==================== PLANTS ====================
+
+/**
+ * Plant as listed by getPlants(), searchPlants(), getPlantsByZone() and getPlantsByGenus().
+ */
+export interface Plant {
+  id: number;
+  common_name: string | null;
+  slug: string;
+  scientific_name: string;
+  year: number | null;
+  bibliography: string | null;
+  author: string | null;
+  status: 'accepted' | 'unknown';
+  rank: 'species' | 'ssp' | 'var' | 'form' | 'hybrid' | 'subvar';
+  family_common_name: string | null;
+  genus_id: number;
+  image_url: string | null;
+  synonyms: string[];
+  genus: string;
+  family: string;
+  links: RecordLinks;
+}
+
+/**
+ * Plant as returned by getPlant().
+ */
+export interface PlantDetail {
+  id: number;
+  common_name: string | null;
+  slug: string;
+  scientific_name: string;
+  main_species_id: number;
+  image_url: string | null;
+  year: number | null;
+  bibliography: string | null;
+  author: string | null;
+  family_common_name: string | null;
+  genus_id: number;
+  observations: string | null;
+  vegetable: boolean | null;
+  links: RecordLinks;
+  main_species: SpeciesDetail;
+  genus: Genus;
+  family: Family;
+  species: Species[];
+  subspecies: Species[];
+  varieties: Species[];
+  hybrids: Species[];
+  forms: Species[];
+  subvarieties: Species[];
+  sources: SpeciesSource[];
+}
+
+// ==================== CORRECTIONS ====================
+
+export interface Correction {
+  id: number;
+  record_type: 'species';
+  record_id: number;
+  user_id: number | null;
+  notes: string | null;
+  source_type: string | null;
+  source_reference: string | null;
+  change_type: 'update' | 'deletion' | 'creation' | null;
+  change_status: 'pending' | 'accepted' | 'rejected';
+  change_notes: string | null;
+  accepted_by: number | null;
+  correction: Record<string, unknown> | null;
+  created_at: string;
+  updated_at: string;
+}
+
+// ==================== UTILITIES ====================
+
+/**
+ * Flattened plant record produced by flattenPlantData() for CSV-friendly output.
+ */
+export interface FlattenedPlant {
+  id: number;
+  common_name: string | null;
+  slug: string;
+  scientific_name: string;
+  year: number | null;
+  bibliography: string | null;
+  author: string | null;
+  status: Plant['status'];
+  rank: Plant['rank'];
+  family_common_name: string | null;
+  genus_id: number;
+  image_url: string | null;
+  observations: string | null | undefined;
+  vegetable: boolean | null | undefined;
+  synonyms: string[];
+  duration: SpeciesDetail['duration'] | undefined;
+  edible_part: string[] | null | undefined;
+  edible: boolean | null | undefined;
+  images: Record<string, Array<Pick<SpeciesImage, 'image_url' | 'copyright'>>>;
+  distributions: Partial<Record<'native' | 'introduced', Array<Pick<DistributionZone, 'name' | 'species_count'>>>>;
+  flower_color: string[] | null | undefined;
+  flower_conspicuous: boolean | null | undefined;
+  foliage_texture: SpeciesFoliage['texture'] | undefined;
+  foliage_color: string[] | null | undefined;
+  foliage_leaf_retention: boolean | null | undefined;
+  fruit_conspicuous: boolean | null | undefined;
+  fruit_color: string[] | null | undefined;
+  fruit_shape: string | null | undefined;
+  fruit_seed_persistence: boolean | null | undefined;
+  source: SpeciesSource | null;
+  spec_ligneous_type: SpeciesSpecifications['ligneous_type'] | undefined;
+  spec_growth_form: string | null | undefined;
+  spec_growth_habit: string | null | undefined;
+  spec_growth_rate: string | null | undefined;
+  spec_average_height_cm: number | null | undefined;
+  spec_maximum_height_cm: number | null | undefined;
+  spec_nitrogen_fixation: string | null | undefined;
+  spec_shape_and_orientation: string | null | undefined;
+  spec_toxicity: SpeciesSpecifications['toxicity'] | undefined;
+  growth_description: string | null | undefined;
+  growth_sowing: string | null | undefined;
+  growth_days_to_harvest: number | null | undefined;
+  growth_row_spacing_cm: number | null | undefined;
+  growth_spread_cm: number | null | undefined;
+  growth_ph_maximum: number | null | undefined;
+  growth_ph_minimum: number | null | undefined;
+  growth_light: number | null | undefined;
+  growth_atmospheric_humidity: number | null | undefined;
+  growth_months: Month[] | null | undefined;
+  growth_bloom_months: Month[] | null | undefined;
+  growth_fruit_months: Month[] | null | undefined;
+  growth_minimum_precipitation_mm: number | null | undefined;
+  growth_maximum_precipitation_mm: number | null | undefined;
+  growth_minimum_root_depth_cm: number | null | undefined;
+  growth_minimum_temperature_deg_f: number | null | undefined;
+  growth_minimum_temperature_deg_c: number | null | undefined;
+  growth_maximum_temperature_deg_f: number | null | undefined;
+  growth_maximum_temperature_deg_c: number | null | undefined;
+  growth_soil_nutriments: number | null | undefined;
+  growth_soil_salinity: number | null | undefined;
+  growth_soil_texture: number | null | undefined;
+  growth_soil_humidity: number | null | undefined;
+  genus: string | undefined;
+  family: string | undefined;
+}
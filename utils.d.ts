@@ -0,0 +1,44 @@
+/**
+ * Trefle Service Utility Functions
+ */
+
+import type { Logger } from 'winston';
+import type { Plant, PlantDetail, FlattenedPlant, SpeciesSource, Genus } from './types.js';
+
+export type FileFormat = 'auto' | 'json' | 'json.gz' | 'csv' | 'txt';
+
+export interface CallAPIResult {
+  success: boolean;
+  /** Error message if failed (null if successful) */
+  error: string | null;
+  /** 'HTTPError' for HTTP errors, otherwise the error class name */
+  errorType: string | null;
+  /** HTTP status code if HTTP error (null otherwise) */
+  statusCode: number | null;
+}
+
+export interface LoggingOptions {
+  level?: string;
+  format?: 'text' | 'json';
+  file?: string | null;
+  silent?: boolean;
+}
+
+export function writeToFile(data: unknown, filepath: string, fileFormat?: FileFormat): Promise<void>;
+export function readFromFile(filepath: string, fileFormat?: FileFormat): Promise<any>;
+export function randomNumber(minVal: number, maxVal: number): number;
+export function pause(seconds: number): Promise<void>;
+export function callAPI(
+  apiMethod: (params?: any) => Promise<unknown>,
+  filepath: string,
+  params?: unknown,
+  continueOnError?: boolean
+): Promise<CallAPIResult>;
+export function trimPlantSynonyms<T extends { synonyms?: unknown[] }>(plants: T[], maxSynonyms?: number): T[];
+export function compactGenusList(genera: Genus[]): Array<{ id: number; slug: string; name: string; family: string | null }>;
+export function findFirstSourceWithUrl(sources: SpeciesSource[] | null | undefined): SpeciesSource | null;
+export function flattenPlantData(paginatedData: Plant, detailedData: PlantDetail): FlattenedPlant;
+export function setLogLevel(level: string): void;
+export function configureLogging(options: LoggingOptions): void;
+
+export const logger: Logger;
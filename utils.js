@@ -8,21 +8,19 @@
 import fs from 'fs/promises';
 import path from 'path';
 import zlib from 'zlib';
-import winston from 'winston';
+import { redactString, redactError } from './redact.js';
+import { createLogger, configureLogger, normalizeLogLevel } from './logger.js';
+import {
+  TrefleAbortError,
+  TrefleAuthError,
+  TrefleNotFoundError,
+  TrefleRateLimitError,
+  TrefleServerError,
+  createTrefleError
+} from './errors.js';
 
 // Configure module logger
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ timestamp, level, message }) => {
-      return `${timestamp} - ${level.toUpperCase()} - ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console()
-  ]
-});
+const logger = createLogger();
 
 /**
  * Write data to file.
@@ -62,15 +60,10 @@ export async function writeToFile(data, filepath, fileFormat = 'auto') {
       }
     }
 
-    // Write based on format
-    if (fileFormat === 'json.gz') {
-      // Compressed JSON format
-      const jsonStr = JSON.stringify(data, null, 2);
-      const compressed = zlib.gzipSync(jsonStr);
-      await fs.writeFile(filepath, compressed);
-    } else if (fileFormat === 'json') {
-      // Regular JSON
-      await fs.writeFile(filepath, JSON.stringify(data, null, 2));
+    // Serialize based on format
+    let content;
+    if (fileFormat === 'json' || fileFormat === 'json.gz') {
+      content = JSON.stringify(data, null, 2);
     } else if (fileFormat === 'csv') {
       // CSV format - for arrays of objects
       if (Array.isArray(data) && data.length > 0) {
@@ -90,13 +83,23 @@ export async function writeToFile(data, filepath, fileFormat = 'auto') {
             }).join(',')
           )
         ];
-        await fs.writeFile(filepath, csvRows.join('\n'));
+        content = csvRows.join('\n');
       } else {
         throw new Error('CSV format requires an array of objects');
       }
     } else {
       // Text format
-      await fs.writeFile(filepath, String(data));
+      content = String(data);
+    }
+
+    // Never write the API token (or any registered secret) to disk
+    content = redactString(content);
+
+    if (fileFormat === 'json.gz') {
+      // Compressed JSON format
+      await fs.writeFile(filepath, zlib.gzipSync(content));
+    } else {
+      await fs.writeFile(filepath, content);
     }
 
     logger.info(`Successfully wrote data to ${filepath}`);
@@ -106,6 +109,60 @@ export async function writeToFile(data, filepath, fileFormat = 'auto') {
   }
 }
 
+/**
+ * Split CSV content into rows of values.
+ *
+ * Handles quoted values containing commas, newlines and doubled quotes, and
+ * both LF and CRLF line endings.
+ *
+ * @param {string} content - CSV content
+ * @returns {Array<Array<string>>} Rows of values
+ * @private
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
 /**
  * Read data from file.
  *
@@ -150,14 +207,13 @@ export async function readFromFile(filepath, fileFormat = 'auto') {
       const content = await fs.readFile(filepath, 'utf-8');
       result = JSON.parse(content);
     } else if (fileFormat === 'csv') {
-      // Basic CSV parsing
+      // CSV with quoted fields, as written by writeToFile()
       const content = await fs.readFile(filepath, 'utf-8');
-      const lines = content.split('\n').filter(line => line.trim());
-      if (lines.length === 0) return [];
+      const rows = parseCsv(content).filter(row => row.some(value => value.trim()));
+      if (rows.length === 0) return [];
 
-      const headers = lines[0].split(',');
-      result = lines.slice(1).map(line => {
-        const values = line.split(',');
+      const headers = rows[0].map(header => header.trim());
+      result = rows.slice(1).map(values => {
         const obj = {};
         headers.forEach((header, index) => {
           obj[header] = values[index];
@@ -224,11 +280,13 @@ export function pause(seconds) {
  *                       - null/undefined: Call method with no parameters
  *                       - Object: Passed as single argument
  *                       - Other: Passed as single argument
- * @param {boolean} continueOnError - If true, catch and log errors instead of raising (default: true)
+ * @param {boolean} continueOnError - If true, catch and log errors instead of raising (default: true).
+ *                                   Cancellations (TrefleAbortError) are always rethrown.
  * @returns {Promise<Object>} Object with keys:
  *                            - success: bool indicating if the API call succeeded
  *                            - error: error message if failed (null if successful)
- *                            - errorType: type of error
+ *                            - errorType: 'HTTPError' for HTTP errors, otherwise the error class name
+ *                              (e.g. 'TrefleNetworkError', 'TrefleValidationError')
  *                            - statusCode: HTTP status code if HTTP error (null otherwise)
  *
  * @example
@@ -258,28 +316,37 @@ export async function callAPI(apiMethod, filepath, params = null, continueOnErro
     return { success: true, error: null, errorType: null, statusCode: null };
 
   } catch (error) {
-    const errorMsg = error.message;
-    const statusCode = error.response?.status || null;
-    const errorType = error.name || 'Error';
+    // Classify raw HTTP errors the same way TrefleAPI does
+    const classified = error.response ? createTrefleError(error) : redactError(error);
+    const errorMsg = classified.message;
+    const statusCode = classified.statusCode ?? null;
+    const errorType = classified.name || 'Error';
+
+    if (classified instanceof TrefleAbortError) {
+      // A cancelled crawl should stop, not skip to the next request
+      throw classified;
+    }
 
-    if (error.response) {
+    if (statusCode) {
       // HTTP error
       logger.warn(`HTTP Error in API call: ${errorMsg}`);
 
-      if (statusCode === 502) {
-        logger.warn('  → Server temporarily unavailable (502 Bad Gateway). Continuing with next request.');
-      } else if (statusCode === 429) {
-        logger.warn('  → Rate limit exceeded (429). Consider adding longer delays between requests.');
-      } else if (statusCode === 503) {
-        logger.warn('  → Service unavailable (503). Server may be overloaded.');
-      } else if (statusCode) {
+      if (classified instanceof TrefleRateLimitError) {
+        logger.warn('  → Rate limit exceeded (429) after retries. Consider lowering rateLimit.requestsPerMinute.');
+      } else if (classified instanceof TrefleServerError) {
+        logger.warn(`  → Server error (${statusCode}) after retries. Continuing with next request.`);
+      } else if (classified instanceof TrefleAuthError) {
+        logger.warn(`  → Authentication failed (${statusCode}). Check your TREFLE_API_TOKEN.`);
+      } else if (classified instanceof TrefleNotFoundError) {
+        logger.warn(`  → Record not found (${statusCode}).`);
+      } else {
         logger.warn(`  → HTTP ${statusCode} error occurred.`);
       }
 
       if (continueOnError) {
         return { success: false, error: errorMsg, errorType: 'HTTPError', statusCode };
       } else {
-        throw error;
+        throw classified;
       }
     } else {
       // Other error
@@ -288,7 +355,7 @@ export async function callAPI(apiMethod, filepath, params = null, continueOnErro
       if (continueOnError) {
         return { success: false, error: errorMsg, errorType, statusCode: null };
       } else {
-        throw error;
+        throw classified;
       }
     }
   }
@@ -328,6 +395,26 @@ export function trimPlantSynonyms(plants, maxSynonyms = 5) {
   });
 }
 
+/**
+ * Reduce genus records to a compact reference table.
+ *
+ * @param {Array<Object>} genera - Genus records from getGenera()
+ * @returns {Array<Object>} Rows with 'id', 'slug', 'name' and 'family' (family name, or null if missing)
+ *
+ * @example
+ * const genera = await api.getAllPages('getGenera');
+ * const table = compactGenusList(genera);
+ * // [{ id: 1, slug: 'quercus', name: 'Quercus', family: 'Fagaceae' }, ...]
+ */
+export function compactGenusList(genera) {
+  return genera.map(genus => ({
+    id: genus.id,
+    slug: genus.slug,
+    name: genus.name,
+    family: typeof genus.family === 'string' ? genus.family : genus.family?.name ?? null
+  }));
+}
+
 /**
  * Find the first source object that has a non-null URL value.
  *
@@ -542,7 +629,19 @@ export function flattenPlantData(paginatedData, detailedData) {
  * @param {string} level - Log level (debug, info, warn, error)
  */
 export function setLogLevel(level) {
-  logger.level = level.toLowerCase();
+  logger.level = normalizeLogLevel(level);
+}
+
+/**
+ * Reconfigure the module logger
+ * @param {Object} options - Logger options
+ * @param {string} options.level - Log level (default: 'info')
+ * @param {string} options.format - Output format, 'text' or 'json' (default: 'text')
+ * @param {string} options.file - Also append log lines to this file
+ * @param {boolean} options.silent - Discard all output (default: false)
+ */
+export function configureLogging(options) {
+  configureLogger(logger, options);
 }
 
 export { logger };